@@ -0,0 +1,125 @@
+/**
+ * Sudoku Engine: achievements and experience
+ * Progress is kept as {xp, counters, unlocked}: game events bump named
+ * counters, and an achievement unlocks once its counter reaches its goal,
+ * which also gives the progress bar shown for locked ones. Wins and
+ * unlocks earn XP, and the player's level follows from their total XP.
+ */
+
+import { DIFFICULTY, TIERS } from './constants.js';
+import { SCORING } from './scoring.js';
+
+// XP for a win at each difficulty
+export const WIN_XP = { easy: 10, medium: 20, hard: 35, expert: 50 };
+// Level n takes LEVEL_XP * n more XP than level n - 1 did
+export const LEVEL_XP = 100;
+// A fast win takes at most this share of the par time the score uses
+export const FAST_WIN_SHARE = 0.5;
+
+/**
+ * Every achievement, in gallery order. `counter` names the count that
+ * unlocks it at `goal`; `icon` is a Remix Icon class.
+ */
+export const ACHIEVEMENTS = [
+    ...TIERS.map(level => ({
+        id: `first-win-${level}`,
+        name: `First ${level[0].toUpperCase() + level.slice(1)} Win`,
+        description: `Win a ${level} game`,
+        icon: 'ri-medal-line',
+        counter: `wins-${level}`,
+        goal: 1,
+        xp: 10 * DIFFICULTY[level].multiplier
+    })),
+    { id: 'wins-10', name: 'Regular', description: 'Win 10 games', icon: 'ri-trophy-line', counter: 'wins', goal: 10, xp: 50 },
+    { id: 'wins-50', name: 'Devoted', description: 'Win 50 games', icon: 'ri-trophy-fill', counter: 'wins', goal: 50, xp: 150 },
+    { id: 'wins-100', name: 'Centurion', description: 'Win 100 games', icon: 'ri-vip-crown-line', counter: 'wins', goal: 100, xp: 300 },
+    { id: 'flawless', name: 'Flawless', description: 'Win without a mistake', icon: 'ri-shield-check-line', counter: 'flawless', goal: 1, xp: 20 },
+    { id: 'flawless-10', name: 'Untouchable', description: 'Win 10 games without a mistake', icon: 'ri-shield-star-line', counter: 'flawless', goal: 10, xp: 100 },
+    { id: 'no-hints', name: 'On My Own', description: 'Win without a hint', icon: 'ri-lightbulb-flash-line', counter: 'noHints', goal: 1, xp: 20 },
+    { id: 'no-hints-25', name: 'Self-Taught', description: 'Win 25 games without a hint', icon: 'ri-brain-line', counter: 'noHints', goal: 25, xp: 120 },
+    { id: 'fast-win', name: 'Quick Thinker', description: 'Win in under half the par time', icon: 'ri-timer-flash-line', counter: 'fastWins', goal: 1, xp: 30 },
+    { id: 'fast-win-10', name: 'Speedster', description: 'Win 10 games in under half the par time', icon: 'ri-flashlight-line', counter: 'fastWins', goal: 10, xp: 120 },
+    { id: 'combo-15', name: 'On a Roll', description: 'Place 15 correct digits in a row', icon: 'ri-fire-line', counter: 'bestStreak', goal: 15, xp: 30 },
+    { id: 'full-set', name: 'Full Set', description: 'Place every copy of a digit', icon: 'ri-checkbox-multiple-line', counter: 'digitsCompleted', goal: 1, xp: 10 },
+    { id: 'full-set-100', name: 'Collector', description: 'Complete 100 digits', icon: 'ri-stack-line', counter: 'digitsCompleted', goal: 100, xp: 80 },
+    { id: 'variants', name: 'Explorer', description: 'Win a game of every variant but Classic', icon: 'ri-compass-3-line', counter: 'variantsWon', goal: 4, xp: 80 },
+    { id: 'giant', name: 'Giant Slayer', description: 'Win on a 16×16 board', icon: 'ri-grid-line', counter: 'wins-16', goal: 1, xp: 60 },
+    { id: 'daily-7', name: 'Week Streak', description: 'Solve the daily challenge 7 days in a row', icon: 'ri-calendar-check-line', counter: 'dailyStreak', goal: 7, xp: 100 },
+    { id: 'daily-30', name: 'Month Streak', description: 'Solve the daily challenge 30 days in a row', icon: 'ri-calendar-2-line', counter: 'dailyStreak', goal: 30, xp: 400 }
+];
+
+export function createProgress() {
+    // unlocked: id -> ISO date; variants: the ones won, other than Classic
+    return { xp: 0, counters: {}, unlocked: {}, variants: [] };
+}
+
+/**
+ * Feeds a game event into `progress`:
+ * - {type: 'won', result} for a single-player win, `result` being
+ *   {level, variant, size, time, mistakes, hints, bestStreak, dailyStreak}
+ *   (unknown values null)
+ * - {type: 'digit-complete'} when the last copy of a digit is placed
+ * Returns {xp, unlocked}: the XP earned, unlocks included, and the
+ * achievements it unlocked.
+ */
+export function recordEvent(progress, event) {
+    const counters = progress.counters;
+    const bump = key => {
+        counters[key] = (counters[key] || 0) + 1;
+    };
+    const atLeast = (key, val) => {
+        counters[key] = Math.max(counters[key] || 0, val || 0);
+    };
+    let xp = 0;
+
+    if (event.type === 'won') {
+        const result = event.result;
+        bump('wins');
+        bump(`wins-${result.level}`);
+        if (result.size === 16) bump('wins-16');
+        if (result.mistakes === 0) bump('flawless');
+        if (result.hints === 0) bump('noHints');
+        if (result.time !== null && result.time <= fastWinTime(result.level, result.size)) bump('fastWins');
+        atLeast('bestStreak', result.bestStreak);
+        atLeast('dailyStreak', result.dailyStreak);
+        if (result.variant !== 'classic') {
+            if (!progress.variants.includes(result.variant)) progress.variants.push(result.variant);
+            counters.variantsWon = progress.variants.length;
+        }
+        xp += WIN_XP[result.level] || 0;
+    } else if (event.type === 'digit-complete') {
+        bump('digitsCompleted');
+    }
+
+    const unlocked = ACHIEVEMENTS.filter(achievement => !progress.unlocked[achievement.id] &&
+        (counters[achievement.counter] || 0) >= achievement.goal);
+    const date = new Date().toISOString();
+    unlocked.forEach(achievement => {
+        progress.unlocked[achievement.id] = date;
+        xp += achievement.xp;
+    });
+    progress.xp += xp;
+    return { xp, unlocked };
+}
+
+// Seconds a win may take to count as fast; par grows with the board like the time bonus
+export function fastWinTime(level, size) {
+    return SCORING.parSeconds[level] * (size * size) / 81 * FAST_WIN_SHARE;
+}
+
+// How far along an achievement is: {value, goal, done}
+export function achievementProgress(progress, achievement) {
+    const value = Math.min(progress.counters[achievement.counter] || 0, achievement.goal);
+    return { value, goal: achievement.goal, done: !!progress.unlocked[achievement.id] };
+}
+
+// The level `xp` reaches, with the XP into it and the XP it takes: {level, xp, needed}
+export function playerLevel(xp) {
+    let level = 1;
+    let left = xp;
+    while (left >= LEVEL_XP * level) {
+        left -= LEVEL_XP * level;
+        level++;
+    }
+    return { level, xp: left, needed: LEVEL_XP * level };
+}
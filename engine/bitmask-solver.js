@@ -0,0 +1,204 @@
+/**
+ * Sudoku Engine: bitmask solver
+ * Brute-force search for the generator: fills grids and counts solutions.
+ * Each unit keeps a bitmask of its placed digits (bit n for digit n), so a
+ * cell's candidates are one AND per unit instead of a scan of its peers.
+ * It branches exactly like the old grid scan did, so seeds keep producing
+ * the same puzzles and puzzle codes stay valid.
+ */
+
+import { bitCount } from './solver.js';
+
+export class BitmaskSolver {
+    constructor(rules) {
+        const size = rules.size;
+        const unitIndex = new Map(rules.units.map((unit, i) => [unit, i]));
+        this.rules = rules;
+        this.size = size;
+        this.allDigits = ((1 << size) - 1) << 1;
+
+        // Cells are numbered r * size + c
+        this.unitCells = rules.units.map(unit => unit.cells.map(({ r, c }) => r * size + c));
+        this.completeUnits = rules.units.flatMap((unit, i) => unit.complete ? [i] : []);
+        this.cellUnits = [];
+        this.cellCages = [];
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                this.cellUnits.push(rules.unitsOf[r][c].map(unit => unitIndex.get(unit)));
+                this.cellCages.push(rules.cageIds[r][c]);
+            }
+        }
+
+        this.cells = Array(size * size).fill(0);
+        this.candidates = Array(size * size).fill(0);
+        this.unitMasks = Array(rules.units.length).fill(0);
+        this.cageTotals = Array(rules.cages.length).fill(0);
+        this.cageEmpty = Array(rules.cages.length).fill(0);
+    }
+
+    load(grid) {
+        this.unitMasks.fill(0);
+        this.cageTotals.fill(0);
+        this.rules.cages.forEach((cage, i) => {
+            this.cageEmpty[i] = cage.cells.length;
+        });
+        this.cells.fill(0);
+        grid.forEach((row, r) => row.forEach((num, c) => {
+            if (num !== 0) this.place(r * this.size + c, num);
+        }));
+    }
+
+    toGrid() {
+        return Array.from({ length: this.size }, (_, r) => this.cells.slice(r * this.size, (r + 1) * this.size));
+    }
+
+    place(cell, num) {
+        const bit = 1 << num;
+        this.cells[cell] = num;
+        for (let unit of this.cellUnits[cell]) this.unitMasks[unit] |= bit;
+        const cage = this.cellCages[cell];
+        if (cage !== -1) {
+            this.cageTotals[cage] += num;
+            this.cageEmpty[cage]--;
+        }
+    }
+
+    unplace(cell) {
+        const num = this.cells[cell];
+        const bit = 1 << num;
+        this.cells[cell] = 0;
+        for (let unit of this.cellUnits[cell]) this.unitMasks[unit] &= ~bit;
+        const cage = this.cellCages[cell];
+        if (cage !== -1) {
+            this.cageTotals[cage] -= num;
+            this.cageEmpty[cage]++;
+        }
+    }
+
+    // Digits no unit of the cell has yet, that also keep its cage total reachable
+    candidatesOf(cell) {
+        let mask = this.allDigits;
+        for (let unit of this.cellUnits[cell]) mask &= ~this.unitMasks[unit];
+        const cage = this.cellCages[cell];
+        if (cage === -1 || mask === 0) return mask;
+
+        // Same bounds as BoardRules.cageAllows(), as a range of digits
+        const empty = this.cageEmpty[cage] - 1;
+        const left = this.rules.cages[cage].sum - this.cageTotals[cage];
+        const low = Math.max(1, left - empty * (2 * this.size + 1 - empty) / 2);
+        const high = Math.min(this.size, left - empty * (empty + 1) / 2);
+        if (low > high) return 0;
+        return mask & ((1 << (high + 1)) - 1) & ~((1 << low) - 1);
+    }
+
+    /**
+     * Picks the next cell to branch on: the first empty cell with the fewest
+     * candidates, unless it has several and some digit has only one place
+     * left in a unit. Returns {cell, nums}, null when the grid is full and
+     * false when it can't be completed.
+     */
+    nextCell() {
+        let best = -1;
+        let bestCount = 0;
+        for (let cell = 0; cell < this.cells.length; cell++) {
+            if (this.cells[cell] !== 0) continue;
+            const mask = this.candidatesOf(cell);
+            if (mask === 0) return false; // Dead end
+            this.candidates[cell] = mask;
+            const count = bitCount(mask);
+            if (best === -1 || count < bestCount) {
+                best = cell;
+                bestCount = count;
+            }
+        }
+        if (best === -1) return null;
+        if (bestCount === 1) return { cell: best, nums: this.digitsOf(this.candidates[best]) };
+
+        for (let unit of this.completeUnits) {
+            // Digits that fit one empty cell of the unit, and those that fit two or more
+            let once = 0;
+            let twice = 0;
+            for (let cell of this.unitCells[unit]) {
+                if (this.cells[cell] !== 0) continue;
+                twice |= once & this.candidates[cell];
+                once |= this.candidates[cell];
+            }
+            const missing = this.allDigits & ~this.unitMasks[unit];
+            const nowhere = missing & ~once;
+            const single = missing & once & ~twice;
+            const first = (nowhere | single) & -(nowhere | single); // Lowest digit first
+            if (first === 0) continue;
+            if (first & nowhere) return false; // Digit has nowhere to go
+            const cell = this.unitCells[unit].find(cell => this.cells[cell] === 0 && (this.candidates[cell] & first));
+            return { cell, nums: [31 - Math.clz32(first)] };
+        }
+        return { cell: best, nums: this.digitsOf(this.candidates[best]) };
+    }
+
+    digitsOf(mask) {
+        const nums = [];
+        for (let num = 1; num <= this.size; num++) {
+            if (mask & (1 << num)) nums.push(num);
+        }
+        return nums;
+    }
+
+    /**
+     * Completes `grid` in place, trying each cell's digits in the order
+     * `shuffle` puts them. Gives up after `maxSteps` branches, leaving the
+     * grid untouched. Returns whether it was filled.
+     */
+    fill(grid, shuffle, maxSteps = Infinity) {
+        this.load(grid);
+        let steps = 0;
+        const search = () => {
+            if (++steps > maxSteps) return false;
+            const next = this.nextCell();
+            if (next === null) return true;
+            if (next === false) return false;
+
+            for (let num of shuffle(next.nums)) {
+                this.place(next.cell, num);
+                if (search()) return true;
+                this.unplace(next.cell);
+            }
+            return false;
+        };
+
+        if (!search()) return false;
+        this.toGrid().forEach((row, r) => {
+            grid[r] = row;
+        });
+        return true;
+    }
+
+    /**
+     * Counts the solutions of a puzzle, stopping as soon as `limit` is reached.
+     * The given grid is left untouched. `onSolution`, if given, receives a
+     * copy of each solution found.
+     */
+    countSolutions(grid, limit = 2, onSolution = null) {
+        this.load(grid);
+        let count = 0;
+        const search = () => {
+            const next = this.nextCell();
+            if (next === false) return false;
+            if (next === null) {
+                count++;
+                if (onSolution) onSolution(this.toGrid());
+                return count >= limit;
+            }
+
+            for (let num of next.nums) {
+                this.place(next.cell, num);
+                const done = search();
+                this.unplace(next.cell);
+                if (done) return true;
+            }
+            return false;
+        };
+
+        search();
+        return count;
+    }
+}
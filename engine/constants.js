@@ -0,0 +1,52 @@
+/**
+ * Sudoku Engine: difficulty, variant and board size settings shared by
+ * the generator, the solvers and the game
+ */
+
+export const DIFFICULTY = {
+    easy: { removed: 30, multiplier: 1 },
+    medium: { removed: 40, multiplier: 1.5 },
+    hard: { removed: 50, multiplier: 2 },
+    expert: { removed: 55, multiplier: 3 } // Hidden option if needed, or just handle 3
+};
+export const TIERS = ['easy', 'medium', 'hard', 'expert'];
+export const MAX_GENERATION_ATTEMPTS = 40;
+
+// Puzzles the techniques cannot finish rank above every tier
+export function tierRank(tier) {
+    return tier ? TIERS.indexOf(tier) : TIERS.length;
+}
+
+// Each press of Hint reveals one more tier of the current hint
+export const HINT_TIERS = [
+    { name: 'Nudge', cost: 10 },     // Highlight the region to look at
+    { name: 'Technique', cost: 15 }, // Name the technique and show its pattern
+    { name: 'Answer', cost: 25 }     // Explain the step and apply it
+];
+export const DEFAULT_MISTAKE_LIMIT = 3;
+
+// Single-letter difficulty prefixes used in puzzle codes
+export const LEVEL_CODES = { easy: 'E', medium: 'M', hard: 'H', expert: 'X' };
+
+// Game modes; `code` goes in front of the difficulty letter in puzzle codes
+export const VARIANTS = {
+    classic: { name: 'Classic', code: '' },
+    diagonal: { name: 'Diagonal', code: 'D' },
+    windoku: { name: 'Windoku', code: 'W' },
+    jigsaw: { name: 'Jigsaw', code: 'J' },
+    killer: { name: 'Killer', code: 'K' }
+};
+export const WINDOKU_WINDOWS = [[1, 1], [1, 5], [5, 1], [5, 5]]; // Top-left cells of the extra boxes
+export const JIGSAW_SWAPS = 150;                // Border swaps when shaping jigsaw regions
+export const CAGE_SIZES = [2, 2, 3, 3, 3, 4, 4, 5]; // Killer cage sizes, picked at random
+export const MAX_FILL_STEPS = 20000;
+
+// Board sizes and the shape of their boxes. Variants other than Classic
+// and Diagonal are laid out for 9x9 only.
+export const BOARD_SIZES = {
+    4: { boxRows: 2, boxCols: 2 },
+    6: { boxRows: 2, boxCols: 3 },
+    9: { boxRows: 3, boxCols: 3 },
+    16: { boxRows: 4, boxCols: 4 }
+};
+export const ANY_SIZE_VARIANTS = ['classic', 'diagonal'];
@@ -0,0 +1,85 @@
+/**
+ * Sudoku Engine: puzzle codes and text formats
+ */
+
+import { ANY_SIZE_VARIANTS, BOARD_SIZES, LEVEL_CODES, VARIANTS } from './constants.js';
+import { formatDigit, parseDigit } from './names.js';
+
+// Codes start with the board size unless it is 9, e.g. "16DH-1A2B3C"
+export function encodePuzzleCode(level, seed, variant = 'classic', size = 9) {
+    const prefix = (size === 9 ? '' : size) + VARIANTS[variant].code + (LEVEL_CODES[level] || LEVEL_CODES.easy);
+    return `${prefix}-${seed.toString(36).toUpperCase()}`;
+}
+
+export function decodePuzzleCode(code) {
+    const match = /^(\d*)([A-Z]?)([A-Z])-?([0-9A-Z]{1,7})$/.exec(code.trim().toUpperCase());
+    if (!match) return null;
+    const size = match[1] ? Number(match[1]) : 9;
+    const variant = Object.keys(VARIANTS).find(key => VARIANTS[key].code === match[2]);
+    const level = Object.keys(LEVEL_CODES).find(key => LEVEL_CODES[key] === match[3]);
+    const seed = parseInt(match[4], 36);
+    if (!variant || !level || !BOARD_SIZES[size] || seed > 0xFFFFFFFF) return null;
+    if (size !== 9 && !ANY_SIZE_VARIANTS.includes(variant)) return null;
+    return { level, seed, variant, size };
+}
+
+// One-line, multi-line grid and SadMan (.sdk) text formats. The board size
+// follows from the number of cells: 16, 36, 81 or 256.
+
+export const EXPORT_FORMATS = {
+    line: { name: 'Line', extension: 'txt' },
+    grid: { name: 'Grid', extension: 'txt' },
+    sdk: { name: 'SadMan', extension: 'sdk' }
+};
+
+/**
+ * Parses a puzzle from any supported format. Blanks may be `.`, `0`, `_` or `*`;
+ * digits above 9 are the letters A to G.
+ * Returns {grid} on success or {error} with a message for the player.
+ */
+export function parsePuzzleText(text) {
+    // SadMan files: skip "#" metadata and read only the [Puzzle] section
+    let lines = text.split(/\r?\n/).filter(line => !line.trim().startsWith('#'));
+    const puzzleStart = lines.findIndex(line => /^\s*\[puzzle\]\s*$/i.test(line));
+    if (puzzleStart > -1) {
+        lines = lines.slice(puzzleStart + 1);
+        const nextSection = lines.findIndex(line => /^\s*\[.+\]\s*$/.test(line));
+        if (nextSection > -1) lines = lines.slice(0, nextSection);
+    }
+
+    // Drop grid decoration (| + - = and spaces), leaving one character per cell
+    const cells = lines.join('').replace(/[\s|+\-=]/g, '');
+    const unexpected = cells.match(/[^0-9A-Ga-g._*]/);
+    if (unexpected) return { error: `Unexpected character "${unexpected[0]}" in puzzle` };
+    const size = Math.sqrt(cells.length);
+    if (!BOARD_SIZES[size]) {
+        const counts = Object.keys(BOARD_SIZES).map(n => n * n);
+        return { error: `Expected ${counts.slice(0, -1).join(', ')} or ${counts[counts.length - 1]} cells but found ${cells.length}` };
+    }
+
+    const grid = Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => parseDigit(cells[r * size + c])));
+    const tooBig = grid.flat().find(val => val > size);
+    if (tooBig) return { error: `"${formatDigit(tooBig)}" is not a digit on a ${size}x${size} board` };
+    return { grid };
+}
+
+export function formatPuzzleText(grid, format, level) {
+    const rows = grid.map(row => row.map(val => (val === 0 ? '.' : formatDigit(val))).join(''));
+    if (format === 'line') return rows.join('');
+    if (format === 'sdk') {
+        return ['#D Exported from Sudoku Master', `#L ${level}`, '[Puzzle]', ...rows].join('\n');
+    }
+
+    // Grid: boxes separated by | and ------+-------+------
+    const { boxRows, boxCols } = BOARD_SIZES[grid.length];
+    const bands = [];
+    for (let i = 0; i < rows.length; i += boxCols) bands.push(i);
+    const lines = rows.map(row => bands.map(i => row.slice(i, i + boxCols).split('').join(' ')).join(' | '));
+    const divider = bands.map(() => '-'.repeat(boxCols * 2 - 1)).join('-+-');
+    const out = [];
+    lines.forEach((line, r) => {
+        if (r > 0 && r % boxRows === 0) out.push(divider);
+        out.push(line);
+    });
+    return out.join('\n');
+}
@@ -0,0 +1,562 @@
+/**
+ * Sudoku Engine: game state
+ * A game is a plain object, see createGame(), changed only through the
+ * functions here. They never touch the page: moves return the events they
+ * caused and the UI decides how to show them.
+ *
+ * Events: {type: 'mistake', r, c} for a wrong digit, {type: 'wrong', count}
+ * after a failed full-board check, then {type: 'lost'} or {type: 'won'}
+ * when the move ended the game.
+ */
+
+import { HINT_TIERS } from './constants.js';
+import { cellName, formatDigit } from './names.js';
+import { BoardRules } from './rules.js';
+import { SCORING, assistMultiplier, comboPoints, newScoring, placementPoints, scoreTotal, timeBonus } from './scoring.js';
+import { LogicalSolver, TECHNIQUES, bitCount } from './solver.js';
+
+export function newGameId() {
+    return Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+}
+
+function emptyNotes(size) {
+    return Array.from({ length: size }, () => Array.from({ length: size }, () => []));
+}
+
+/**
+ * A new game of `level` for `puzzle` ({initial, solution, rating, rules}).
+ * `options` carries the seed, puzzleCode and daily key it was made from,
+ * the players of a multiplayer game, and autoNotes to start with every
+ * cell's candidates noted.
+ */
+export function createGame(level, puzzle, options = {}) {
+    const rules = BoardRules.fromJSON(puzzle.rules);
+    const game = {
+        gameId: newGameId(),
+        level,
+        variant: rules.variant,
+        rules: puzzle.rules,      // BoardRules.toJSON() of the puzzle
+        rating: puzzle.rating,    // {tier, technique}: hardest technique the puzzle needs
+        seed: options.seed !== undefined ? options.seed : null,
+        puzzleCode: options.puzzleCode || null,
+        daily: options.daily || null, // 'YYYY-MM-DD' of a daily challenge
+        players: options.players || null, // Local multiplayer, see createPlayers()
+        grid: puzzle.initial.map(row => [...row]),
+        solution: puzzle.solution,
+        initial: puzzle.initial.map(row => [...row]), // Givens, plus digits revealed by hints
+        notes: emptyNotes(rules.size),
+        score: 0,
+        scoring: newScoring(),    // Where the score came from
+        timer: 0,
+        mistakes: 0,
+        hintsUsed: 0,
+        countedDigits: [],        // Digits fully solved and counted for achievements, each once a game
+        autoNotes: !!options.autoNotes,
+        history: [],              // Undo stack of commands, see recordAction()
+        moves: [],                // Everything the player did, in order, see logMove()
+        redoStack: [],            // Commands undone since the last new action
+        hint: null,               // Hint being revealed: see findHint(), plus the tier shown
+        showWrong: false,         // Mark wrong digits after a failed full-board check
+        isGameOver: false
+    };
+    if (game.autoNotes) {
+        fillAllCandidates(game, rules);
+        // Logged like the toggle, so a replay starts from the same notes
+        logMove(game, 'auto-notes', null, notedCells(game));
+    }
+    return game;
+}
+
+// --- Moves ---
+
+/**
+ * Enters `num` at (r, c), 0 erasing it, as one undoable command, and checks
+ * it as `settings.errorChecking` asks. The game is lost at `mistakeLimit`
+ * mistakes (0 for never), which callers that count mistakes themselves can
+ * pass instead of the one in `settings`. Returns the events it caused, or
+ * null when the cell can't change.
+ */
+export function placeDigit(game, rules, r, c, num, settings, mistakeLimit = settings.mistakeLimit) {
+    if (game.isGameOver || game.initial[r][c] !== 0) return null;
+    if (!Number.isInteger(num) || num < 0 || num > rules.size) return null;
+    const prevVal = game.grid[r][c];
+    if (prevVal === num) return null;
+
+    const events = [];
+    recordAction(game, rules, num === 0 ? 'erase' : 'input', { r, c }, () => {
+        game.grid[r][c] = num;
+        game.showWrong = false;
+
+        if (num === 0) {
+            // Nothing to check
+        } else if (settings.errorChecking === 'immediate') {
+            if (num !== game.solution[r][c]) {
+                addMistake(game, mistakeLimit, { type: 'mistake', r, c }, events);
+            } else {
+                scorePlacement(game, rules, r, c, settings);
+                if (settings.autoRemoveNotes) clearNotesForMove(game, rules, r, c, num);
+                checkSolved(game, events);
+            }
+        } else if (settings.errorChecking === 'conflicts' && !rules.isValid(game.grid, r, c, num)) {
+            addMistake(game, mistakeLimit, { type: 'mistake', r, c }, events);
+        } else {
+            // Checked against the solution once the board is full
+            if (settings.autoRemoveNotes) clearNotesForMove(game, rules, r, c, num);
+            checkFullBoard(game, rules, settings, mistakeLimit, events);
+        }
+        updateAutoNotes(game, rules, r, c, prevVal);
+    });
+    return events;
+}
+
+// Clears the digit at (r, c), or its notes when it has no digit
+export function eraseCell(game, rules, r, c, settings) {
+    if (game.isGameOver || game.initial[r][c] !== 0) return null;
+    if (game.grid[r][c] !== 0) return placeDigit(game, rules, r, c, 0, settings);
+    recordAction(game, rules, 'erase', { r, c }, () => {
+        game.notes[r][c] = [];
+    });
+    return [];
+}
+
+function addMistake(game, mistakeLimit, event, events) {
+    game.mistakes++;
+    scoreMistake(game);
+    events.push(event);
+    if (mistakeLimit && game.mistakes >= mistakeLimit) {
+        game.isGameOver = true;
+        events.push({ type: 'lost' });
+    }
+}
+
+function isFull(game) {
+    return !game.grid.some(row => row.includes(0));
+}
+
+// Whether `num` is in every cell the solution has it in, and in no other
+export function isDigitSolved(game, num) {
+    return game.grid.every((row, r) => row.every((val, c) => (val === num) === (game.solution[r][c] === num)));
+}
+
+function checkSolved(game, events) {
+    if (!isFull(game)) return;
+    const solved = game.grid.every((row, r) => row.every((val, c) => val === game.solution[r][c]));
+    if (!solved) return;
+    scoreWin(game);
+    game.isGameOver = true;
+    events.push({ type: 'won' });
+}
+
+/**
+ * Deferred checking: nothing is compared with the solution until every
+ * cell is filled. Then a correct board wins and scores each digit the
+ * player entered; otherwise it costs a mistake and marks the wrong digits.
+ */
+function checkFullBoard(game, rules, settings, mistakeLimit, events) {
+    if (!isFull(game)) return;
+
+    let wrong = 0;
+    for (let r = 0; r < rules.size; r++) {
+        for (let c = 0; c < rules.size; c++) {
+            if (game.initial[r][c] !== 0) continue;
+            if (game.grid[r][c] !== game.solution[r][c]) wrong++;
+        }
+    }
+
+    if (wrong === 0) {
+        scoreFullBoard(game, rules, settings);
+        checkSolved(game, events);
+    } else {
+        game.showWrong = true;
+        addMistake(game, mistakeLimit, { type: 'wrong', count: wrong }, events);
+    }
+}
+
+// --- Undo / Redo ---
+
+function snapshotCell(game, r, c) {
+    return {
+        val: game.grid[r][c],
+        given: game.initial[r][c],
+        notes: [...(game.notes[r][c] || [])]
+    };
+}
+
+function sameCell(a, b) {
+    return a.val === b.val && a.given === b.given && a.notes.join() === b.notes.join();
+}
+
+function notedCells(game) {
+    return game.notes.flatMap((row, r) => row.flatMap((notes, c) => (notes && notes.length ? [{ r, c }] : [])));
+}
+
+/**
+ * Appends a move to game.moves, the log replays are made from. Unlike the
+ * undo history it is never trimmed, and undo and redo are moves too.
+ * A move is [time, type, cell, changes, mistakes, score]: the game clock
+ * in seconds, the command type ('input', 'erase', 'note', 'auto-notes',
+ * 'clean-notes', 'hint', 'undo' or 'redo'), the r * size + c index of the
+ * cell acted on or -1, then [index, value, notes, given] for every cell
+ * the move changed, and the mistake count and score after it.
+ */
+function logMove(game, type, selected, cells) {
+    const size = game.grid.length;
+    const changes = cells.map(({ r, c }) => [
+        r * size + c, game.grid[r][c], [...(game.notes[r][c] || [])], game.initial[r][c] !== 0 ? 1 : 0
+    ]);
+    game.moves.push([game.timer, type, selected ? selected.r * size + selected.c : -1, changes, game.mistakes, game.score]);
+}
+
+/**
+ * Runs `apply` as a single undoable command. Every cell it changes (value,
+ * given flag, notes) is stored as before/after snapshots, together with the
+ * score, its breakdown and the mistake count, so undo and redo restore
+ * exactly what it touched. `selected` is the cell to select again on undo.
+ */
+function recordAction(game, rules, type, selected, apply) {
+    const before = game.grid.map((row, r) => row.map((_, c) => snapshotCell(game, r, c)));
+    const scoreBefore = game.score;
+    const scoringBefore = { ...game.scoring };
+    const mistakesBefore = game.mistakes;
+
+    apply();
+
+    const cells = [];
+    for (let r = 0; r < rules.size; r++) {
+        for (let c = 0; c < rules.size; c++) {
+            const after = snapshotCell(game, r, c);
+            if (!sameCell(before[r][c], after)) cells.push({ r, c, before: before[r][c], after });
+        }
+    }
+    if (cells.length === 0 && game.score === scoreBefore && game.mistakes === mistakesBefore) return;
+
+    game.history.push({
+        type,
+        selected,
+        cells,
+        before: { score: scoreBefore, scoring: scoringBefore, mistakes: mistakesBefore },
+        after: { score: game.score, scoring: { ...game.scoring }, mistakes: game.mistakes }
+    });
+    game.redoStack = [];
+    logMove(game, type, selected, cells);
+    // Any other change to the board can invalidate the hint being shown
+    if (type !== 'hint') game.hint = null;
+}
+
+// Puts every cell and counter of a command back to its 'before' or 'after' side
+function restoreAction(game, action, side) {
+    action.cells.forEach(cell => {
+        const snap = cell[side];
+        game.grid[cell.r][cell.c] = snap.val;
+        game.initial[cell.r][cell.c] = snap.given;
+        game.notes[cell.r][cell.c] = [...snap.notes];
+    });
+    game.score = action[side].score;
+    // Commands saved before the score breakdown existed only restore the total,
+    // and ones from before scored cells were kept restore none
+    if (action[side].scoring) game.scoring = { scored: [], ...action[side].scoring };
+    game.mistakes = action[side].mistakes;
+    game.hint = null;
+}
+
+// Both return the command they reverted or replayed, or null if there was none
+export function undoAction(game) {
+    if (game.history.length === 0 || game.isGameOver) return null;
+    const action = game.history.pop();
+    game.redoStack.push(action);
+    restoreAction(game, action, 'before');
+    logMove(game, 'undo', action.selected, action.cells);
+    return action;
+}
+
+export function redoAction(game) {
+    if (game.redoStack.length === 0 || game.isGameOver) return null;
+    const action = game.redoStack.pop();
+    game.history.push(action);
+    restoreAction(game, action, 'after');
+    logMove(game, 'redo', action.selected, action.cells);
+    return action;
+}
+
+// --- Notes ---
+
+export function toggleNote(game, rules, r, c, num) {
+    if (game.isGameOver || game.initial[r][c] !== 0) return;
+    recordAction(game, rules, 'note', { r, c }, () => {
+        if (!game.notes[r][c]) game.notes[r][c] = [];
+        const idx = game.notes[r][c].indexOf(num);
+        if (idx > -1) {
+            game.notes[r][c].splice(idx, 1);
+        } else {
+            game.notes[r][c].push(num);
+        }
+    });
+}
+
+/**
+ * Toggles note `num` in several cells as one undoable move: it is removed
+ * if every empty cell among `cells` has it, and added to the rest otherwise.
+ * Filled cells are left alone.
+ */
+export function toggleNoteInCells(game, rules, cells, num) {
+    if (game.isGameOver) return;
+    const empty = cells.filter(({ r, c }) => game.grid[r][c] === 0 && game.initial[r][c] === 0);
+    if (empty.length === 0) return;
+    const remove = empty.every(({ r, c }) => game.notes[r][c] && game.notes[r][c].includes(num));
+    recordAction(game, rules, 'note', empty[0], () => {
+        empty.forEach(({ r, c }) => {
+            if (remove) removeNote(game, r, c, num);
+            else if (!game.notes[r][c]) game.notes[r][c] = [num];
+            else if (!game.notes[r][c].includes(num)) game.notes[r][c].push(num);
+        });
+    });
+}
+
+function clearNotesForMove(game, rules, r, c, num) {
+    // Basic auto-clear: Clear this number from notes in every peer
+    // 1. Clear notes in this cell (it's filled now)
+    game.notes[r][c] = [];
+
+    // 2. Remove 'num' from notes in related cells (rows, columns, regions, cages)
+    rules.peerCells[r][c].forEach(p => removeNote(game, p.r, p.c, num));
+}
+
+function removeNote(game, r, c, num) {
+    if (game.notes[r][c]) {
+        const idx = game.notes[r][c].indexOf(num);
+        if (idx > -1) game.notes[r][c].splice(idx, 1);
+    }
+}
+
+// Digits that don't clash with any placed peer (or a killer cage total)
+export function computeCandidates(game, rules, r, c) {
+    return rules.digits.filter(num => rules.isValid(game.grid, r, c, num));
+}
+
+function fillAllCandidates(game, rules) {
+    for (let r = 0; r < rules.size; r++) {
+        for (let c = 0; c < rules.size; c++) {
+            game.notes[r][c] = game.grid[r][c] === 0 ? computeCandidates(game, rules, r, c) : [];
+        }
+    }
+}
+
+/**
+ * Keeps auto notes in step after (r, c) changed from `prevVal`. Placing a
+ * digit prunes it from peers; erasing one gives it back to every peer
+ * where it is possible again.
+ */
+function updateAutoNotes(game, rules, r, c, prevVal) {
+    if (!game.autoNotes) return;
+    const num = game.grid[r][c];
+    game.notes[r][c] = num === 0 ? computeCandidates(game, rules, r, c) : [];
+
+    rules.peerCells[r][c].forEach(p => {
+        if (game.grid[p.r][p.c] !== 0) return;
+        const notes = game.notes[p.r][p.c];
+        if (prevVal !== 0 && !notes.includes(prevVal) && computeCandidates(game, rules, p.r, p.c).includes(prevVal)) {
+            game.notes[p.r][p.c] = [...notes, prevVal].sort((a, b) => a - b);
+        }
+        if (num !== 0) removeNote(game, p.r, p.c, num);
+    });
+}
+
+export function setAutoNotes(game, rules, on) {
+    if (game.isGameOver) return;
+    game.autoNotes = on;
+    if (game.autoNotes) {
+        recordAction(game, rules, 'auto-notes', null, () => fillAllCandidates(game, rules));
+    }
+}
+
+// Drops notes that clash with a digit already placed in a peer
+export function cleanNotes(game, rules) {
+    if (game.isGameOver) return;
+    recordAction(game, rules, 'clean-notes', null, () => {
+        for (let r = 0; r < rules.size; r++) {
+            for (let c = 0; c < rules.size; c++) {
+                if (game.grid[r][c] !== 0 || !game.notes[r][c]) continue;
+                const candidates = computeCandidates(game, rules, r, c);
+                game.notes[r][c] = game.notes[r][c].filter(num => candidates.includes(num));
+            }
+        }
+    });
+}
+
+// --- Hints ---
+
+/**
+ * The puzzle's own givens, without the digits hints revealed: those are
+ * the only givens a move ever changed, so they are left empty.
+ */
+export function puzzleGivens(game) {
+    const size = game.grid.length;
+    const touched = new Set(game.moves.flatMap(move => move[3].map(change => change[0])));
+    return game.initial.map((row, r) => row.map((val, c) => (touched.has(r * size + c) ? 0 : val)));
+}
+
+/**
+ * Finds the next step a player could take from the current board.
+ * Wrong entries are pointed out first. Otherwise the logical solver runs
+ * until it reaches a placement, keeping the elimination steps that led
+ * there so the whole deduction can be shown.
+ */
+export function findHint(game, rules) {
+    const solver = new LogicalSolver(game.grid, rules);
+
+    for (let r = 0; r < rules.size; r++) {
+        for (let c = 0; c < rules.size; c++) {
+            const val = game.grid[r][c];
+            if (val !== 0 && val !== game.solution[r][c]) {
+                return {
+                    kind: 'mistake',
+                    target: { r, c, num: 0 },
+                    unit: solver.boxOf(r, c),
+                    pattern: [{ r, c }],
+                    eliminations: [],
+                    techniques: ['Mistake'],
+                    description: `${formatDigit(val)} at ${cellName(r, c)} doesn't fit the solution, so it is erased`
+                };
+            }
+        }
+    }
+
+    // Candidates come from the grid, not the player's notes
+    const supporting = [];
+    let step;
+    while ((step = solver.nextStep())) {
+        if (step.placements.length > 0) break;
+        supporting.push(step);
+        solver.applyStep(step);
+    }
+
+    if (!step) {
+        // Beyond the known techniques: reveal the most constrained empty cell
+        let target = null;
+        for (let r = 0; r < rules.size; r++) {
+            for (let c = 0; c < rules.size; c++) {
+                if (game.grid[r][c] !== 0) continue;
+                const count = bitCount(solver.candidates[r][c]);
+                if (!target || count < target.count) target = { r, c, count };
+            }
+        }
+        if (!target) return null;
+        const num = game.solution[target.r][target.c];
+        return {
+            kind: 'reveal',
+            target: { r: target.r, c: target.c, num },
+            unit: solver.boxOf(target.r, target.c),
+            pattern: [{ r: target.r, c: target.c }],
+            eliminations: [],
+            techniques: ['Trial and error'],
+            description: `No logical step found with the known techniques, so ${cellName(target.r, target.c)} is revealed as ${formatDigit(num)}`
+        };
+    }
+
+    const steps = [...supporting, step];
+    const target = step.placements[0];
+    return {
+        kind: 'placement',
+        target,
+        unit: step.unit || solver.boxOf(target.r, target.c),
+        pattern: steps.flatMap(s => s.cells),
+        eliminations: supporting.flatMap(s => s.eliminations),
+        techniques: [...new Set(steps.map(s => TECHNIQUES.find(t => t.id === s.technique).name))],
+        description: steps.map(s => s.description).join('. ')
+    };
+}
+
+export function hintEliminationsAt(game, r, c) {
+    if (!game.hint || game.hint.tier < 2) return [];
+    return game.hint.eliminations.filter(e => e.r === r && e.c === c).map(e => e.num);
+}
+
+/**
+ * Reveals the next tier of the current hint, starting a new one if needed;
+ * the last tier applies it. Returns {hint, events}, {cost} when the score
+ * can't pay for the tier, or null when there is nothing to hint. Unless
+ * digits are checked as they are placed nothing scores before the board is
+ * full, so there hints are always given and their cost comes off the end score.
+ */
+export function revealHint(game, rules, settings) {
+    if (game.isGameOver) return null;
+
+    const inProgress = game.hint && game.hint.tier < HINT_TIERS.length;
+    const hint = inProgress ? game.hint : findHint(game, rules);
+    if (!hint) return null;
+    const tier = inProgress ? hint.tier : 0;
+
+    const cost = HINT_TIERS[tier].cost;
+    if (settings.errorChecking === 'immediate' && game.score < cost) return { cost };
+
+    game.hint = { ...hint, tier };
+    if (tier === 0) game.hintsUsed++;
+    const answer = tier === HINT_TIERS.length - 1;
+    const events = [];
+    recordAction(game, rules, 'hint', answer ? { r: hint.target.r, c: hint.target.c } : null, () => {
+        scoreHint(game, cost);
+        if (answer) {
+            const { r, c, num } = hint.target;
+            // Revealed digits become fixed so they can't be cleared by accident
+            const prevVal = game.grid[r][c];
+            game.grid[r][c] = num;
+            game.initial[r][c] = num;
+            game.notes[r][c] = [];
+            updateAutoNotes(game, rules, r, c, prevVal);
+            if (num !== 0 && settings.errorChecking === 'immediate') checkSolved(game, events);
+            else if (num !== 0) checkFullBoard(game, rules, settings, settings.mistakeLimit, events);
+        }
+    });
+    game.hint.tier = tier + 1;
+    return { hint: game.hint, events };
+}
+
+// --- Scoring ---
+
+function addScore(game, part, points) {
+    game.scoring[part] += points;
+    game.score = scoreTotal(game.scoring);
+}
+
+// Only the first correct digit in a cell scores, so erasing it and placing
+// it again can't earn points or grow the streak twice
+function scorePlacement(game, rules, r, c, settings) {
+    const scoring = game.scoring;
+    const key = r * rules.size + c;
+    if (scoring.scored.includes(key)) return;
+    // Replaced rather than pushed to: undo snapshots share the array
+    scoring.scored = [...scoring.scored, key];
+    const candidates = computeCandidates(game, rules, r, c).length;
+    const points = placementPoints(game.level, rules.size, candidates, assistMultiplier(settings));
+    addScore(game, 'placements', points);
+    addScore(game, 'combo', comboPoints(points, scoring.streak));
+    scoring.streak++;
+    scoring.bestStreak = Math.max(scoring.bestStreak, scoring.streak);
+}
+
+// With deferred checking correct digits are only known once the board is
+// full, so each entered cell scores by how open it was among the givens, without combos
+function scoreFullBoard(game, rules, settings) {
+    const assists = assistMultiplier(settings);
+    for (let r = 0; r < rules.size; r++) {
+        for (let c = 0; c < rules.size; c++) {
+            if (game.initial[r][c] !== 0) continue;
+            const candidates = rules.digits.filter(num => rules.isValid(game.initial, r, c, num)).length;
+            addScore(game, 'placements', placementPoints(game.level, rules.size, candidates, assists));
+        }
+    }
+}
+
+function scoreMistake(game) {
+    game.scoring.streak = 0;
+    addScore(game, 'mistakes', SCORING.mistakePenalty);
+}
+
+function scoreHint(game, cost) {
+    game.scoring.streak = 0;
+    addScore(game, 'hints', cost);
+}
+
+function scoreWin(game) {
+    addScore(game, 'time', timeBonus(game.level, game.grid.length * game.grid.length, game.timer));
+}
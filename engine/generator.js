@@ -0,0 +1,221 @@
+/**
+ * Sudoku Engine: puzzle generator
+ */
+
+import { BitmaskSolver } from './bitmask-solver.js';
+import { CAGE_SIZES, DIFFICULTY, MAX_FILL_STEPS, MAX_GENERATION_ATTEMPTS, TIERS, tierRank } from './constants.js';
+import { cellName, formatDigit } from './names.js';
+import { createRandom, randomSeed } from './random.js';
+import { BoardRules, CLASSIC_RULES, generateJigsawRegions } from './rules.js';
+import { LogicalSolver } from './solver.js';
+
+export class SudokuGenerator {
+    constructor(seed = randomSeed(), variant = 'classic', size = 9) {
+        this.seed = seed;
+        this.variant = variant;
+        this.size = size;
+        this.random = createRandom(seed);
+        this.rules = size === 9 ? CLASSIC_RULES : new BoardRules('classic', null, [], size);
+        this.grid = this.emptyGrid();
+    }
+
+    emptyGrid() {
+        return Array.from({ length: this.size }, () => Array(this.size).fill(0));
+    }
+
+    // Fisher-Yates, so shuffles depend only on the seed (sort-based shuffles vary by engine)
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    isValid(grid, row, col, num) {
+        return this.rules.isValid(grid, row, col, num);
+    }
+
+    // The bitmask solver for the current rules, rebuilt when they change
+    bitmaskSolver() {
+        if (!this.solver || this.solver.rules !== this.rules) this.solver = new BitmaskSolver(this.rules);
+        return this.solver;
+    }
+
+    // Gives up after MAX_FILL_STEPS so an unlucky jigsaw layout can be replaced
+    fillGrid(grid) {
+        return this.bitmaskSolver().fill(grid, nums => this.shuffle(nums), MAX_FILL_STEPS);
+    }
+
+    /**
+     * Generates a puzzle whose technique rating matches the difficulty,
+     * retrying a bounded number of times and otherwise returning the
+     * closest match found. Some boards can't reach every tier (4x4 ones
+     * only ever need easy techniques), so go by the returned rating.
+     */
+    generate(difficulty) {
+        const wanted = Math.max(0, TIERS.indexOf(difficulty));
+        let best = null;
+        for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+            const puzzle = this.createPuzzle(difficulty);
+            const distance = Math.abs(tierRank(puzzle.rating.tier) - wanted);
+            if (!best || distance < best.distance) best = { puzzle, distance };
+            if (distance === 0) break;
+        }
+        return best.puzzle;
+    }
+
+    // Fills a complete grid under the variant's rules, choosing a jigsaw layout first
+    createSolution() {
+        for (;;) {
+            const regions = this.variant === 'jigsaw' ? generateJigsawRegions(this.random) : null;
+            this.rules = this.variant === 'killer' ? CLASSIC_RULES : new BoardRules(this.variant, regions, [], this.size);
+            this.grid = this.emptyGrid();
+            if (this.fillGrid(this.grid)) break;
+        }
+        // Killer cages are cut from the finished grid
+        if (this.variant === 'killer') {
+            this.rules = new BoardRules('killer', null, this.makeCages(this.grid));
+        }
+        return JSON.parse(JSON.stringify(this.grid));
+    }
+
+    createPuzzle(difficulty) {
+        const solution = this.createSolution();
+        const wanted = Math.max(0, TIERS.indexOf(difficulty));
+
+        // Remove numbers, keeping only removals that leave a single solution.
+        // Harder tiers keep digging past the clue target down to a minimal
+        // puzzle; killer puzzles always do, since cages carry the clues.
+        // Targets are given for 81 cells and scaled to the board size.
+        const size = this.size;
+        const total = size * size;
+        const removed = DIFFICULTY[difficulty] ? DIFFICULTY[difficulty].removed : 30;
+        let target = Math.round(removed * total / 81);
+        if (this.variant === 'killer') target = total;
+        const cells = this.shuffle(Array.from({ length: total }, (_, i) => i));
+        const removedCells = [];
+        let rating = null;
+
+        // Counting solutions is too slow on 16x16, so there a removal is kept
+        // only if the techniques of the wanted tier still finish the puzzle,
+        // which also proves it has a single solution.
+        const tier = TIERS[wanted];
+        const canRemove = size > 9
+            ? () => LogicalSolver.rate(this.grid, this.rules, tier).tier !== null
+            : () => this.hasUniqueSolution(this.grid);
+        for (let idx of cells) {
+            if (removedCells.length === target && !rating) {
+                rating = LogicalSolver.rate(this.grid, this.rules);
+                if (tierRank(rating.tier) >= wanted) break;
+            }
+            const r = Math.floor(idx / size);
+            const c = idx % size;
+            const backup = this.grid[r][c];
+            this.grid[r][c] = 0;
+            if (canRemove()) {
+                removedCells.push({ r, c, val: backup });
+            } else {
+                this.grid[r][c] = backup;
+            }
+        }
+        if (!rating || removedCells.length > target) rating = LogicalSolver.rate(this.grid, this.rules);
+
+        // Too hard: give clues back, most recent first, until it fits the tier.
+        // A clue that would make it easier than the tier is taken out again;
+        // the puzzle stays unique, as it has every clue of the dug one.
+        for (let i = removedCells.length - 1; i >= 0 && tierRank(rating.tier) > wanted; i--) {
+            const { r, c, val } = removedCells[i];
+            this.grid[r][c] = val;
+            const restored = LogicalSolver.rate(this.grid, this.rules);
+            if (tierRank(restored.tier) < wanted) this.grid[r][c] = 0;
+            else rating = restored;
+        }
+
+        return {
+            initial: JSON.parse(JSON.stringify(this.grid)),
+            solution: solution,
+            rating: rating,
+            rules: this.rules.toJSON()
+        };
+    }
+
+    /**
+     * Splits a solved grid into connected cages of distinct digits.
+     * Cells are sorted so each cage's first cell is its top-left one.
+     */
+    makeCages(solution) {
+        const last = this.size - 1;
+        const caged = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+        const cages = [];
+        for (let idx of this.shuffle(Array.from({ length: this.size * this.size }, (_, i) => i))) {
+            const r = Math.floor(idx / this.size);
+            const c = idx % this.size;
+            if (caged[r][c]) continue;
+
+            const size = CAGE_SIZES[Math.floor(this.random() * CAGE_SIZES.length)];
+            const cells = [{ r, c }];
+            const digits = new Set([solution[r][c]]);
+            caged[r][c] = true;
+            while (cells.length < size) {
+                const options = [];
+                cells.forEach(cell => {
+                    [[cell.r - 1, cell.c], [cell.r + 1, cell.c], [cell.r, cell.c - 1], [cell.r, cell.c + 1]].forEach(([nr, nc]) => {
+                        if (nr < 0 || nr > last || nc < 0 || nc > last || caged[nr][nc] || digits.has(solution[nr][nc])) return;
+                        options.push({ r: nr, c: nc });
+                    });
+                });
+                if (options.length === 0) break;
+                const next = options[Math.floor(this.random() * options.length)];
+                cells.push(next);
+                digits.add(solution[next.r][next.c]);
+                caged[next.r][next.c] = true;
+            }
+
+            cells.sort((a, b) => a.r - b.r || a.c - b.c);
+            cages.push({ sum: cells.reduce((total, cell) => total + solution[cell.r][cell.c], 0), cells });
+        }
+        return cages;
+    }
+
+    /**
+     * Counts the solutions of a puzzle, stopping as soon as `limit` is reached.
+     * Works on a copy, so the given grid is left untouched. `onSolution`, if
+     * given, receives a copy of each solution found.
+     */
+    countSolutions(grid, limit = 2, onSolution = null) {
+        return this.bitmaskSolver().countSolutions(grid, limit, onSolution);
+    }
+
+    hasUniqueSolution(grid) {
+        return this.countSolutions(grid, 2) === 1;
+    }
+}
+
+/**
+ * Checks an imported grid and solves it.
+ * Returns {initial, solution, rating}, or {error} when the givens break the
+ * rules or the puzzle does not have exactly one solution.
+ */
+export function preparePuzzle(grid) {
+    const generator = new SudokuGenerator(undefined, 'classic', grid.length);
+    for (let r = 0; r < grid.length; r++) {
+        for (let c = 0; c < grid.length; c++) {
+            const val = grid[r][c];
+            if (val === 0) continue;
+            grid[r][c] = 0;
+            const ok = generator.isValid(grid, r, c, val);
+            grid[r][c] = val;
+            if (!ok) return { error: `Invalid puzzle: ${formatDigit(val)} at ${cellName(r, c)} repeats in its row, column or box` };
+        }
+    }
+
+    let solution = null;
+    const count = generator.countSolutions(grid, 2, found => {
+        if (!solution) solution = found;
+    });
+    if (count === 0) return { error: 'This puzzle has no solution' };
+    if (count > 1) return { error: 'This puzzle has more than one solution' };
+
+    return { initial: grid, solution, rating: LogicalSolver.rate(grid, generator.rules), rules: generator.rules.toJSON() };
+}
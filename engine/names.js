@@ -0,0 +1,27 @@
+/**
+ * Sudoku Engine: how digits, cells and units are written for the player
+ */
+
+// Digits above 9 are shown as letters: 10 is A, 16 is G
+export function formatDigit(num) {
+    return num > 9 ? String.fromCharCode(55 + num) : String(num);
+}
+
+export function parseDigit(ch) {
+    if (/[1-9]/.test(ch)) return Number(ch);
+    if (/[A-G]/i.test(ch)) return ch.toUpperCase().charCodeAt(0) - 55;
+    return 0;
+}
+
+export function cellName(r, c) {
+    return `R${r + 1}C${c + 1}`;
+}
+
+export function unitName(unit) {
+    return unit.name || `${unit.type} ${unit.index + 1}`;
+}
+
+export function listText(items) {
+    if (items.length <= 1) return items.join('');
+    return items.slice(0, -1).join(', ') + ' and ' + items[items.length - 1];
+}
@@ -0,0 +1,144 @@
+/**
+ * Sudoku Engine: local multiplayer
+ * Two to four players on one device, kept in game.players (null when
+ * playing alone). In 'turns' mode they share one board: each digit placed
+ * ends the turn, and the points and mistakes it caused go to whoever placed
+ * it. In 'race' mode everyone solves the same puzzle, one game each, and
+ * the results are compared once the last player is done.
+ */
+
+import { eraseCell, placeDigit } from './game.js';
+import { SCORE_PARTS } from './scoring.js';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+export const PLAYER_MODES = {
+    turns: { name: 'Pass & Play', description: 'Take turns on one board' },
+    race: { name: 'Race', description: 'Same puzzle, one after another' }
+};
+
+/**
+ * Players for `puzzle` ({initial, solution, rating, rules}). A race keeps
+ * the puzzle so each player can be given a fresh copy; turns track who
+ * placed each digit in `owners` (-1 for givens and empty cells).
+ */
+export function createPlayers(mode, names, puzzle) {
+    const players = { mode, names: [...names], current: 0 };
+    if (mode === 'turns') {
+        players.scores = names.map(() => 0);
+        players.mistakes = names.map(() => 0);
+        players.out = names.map(() => false); // Reached the mistake limit
+        players.owners = puzzle.initial.map(row => row.map(() => -1));
+    } else {
+        players.puzzle = puzzle;
+        players.results = []; // {outcome, time, score, mistakes} per player done so far
+    }
+    return players;
+}
+
+/**
+ * Places `num` at (r, c) for the player whose turn it is, then passes the
+ * turn to the next player still in. The mistake limit in `settings` counts
+ * per player: reaching it puts that player out, and once everyone is out
+ * the game is lost. Combos don't carry over from one player to the next,
+ * and the time bonus of a win is nobody's. Returns placeDigit()'s events,
+ * mistakes tagged with the player who made them, plus {type: 'out', player}
+ * and {type: 'turn', player}; just {type: 'owned', player} when the cell
+ * holds another player's digit; or null if nothing changed. Wrong digits
+ * and those of players who are out belong to nobody.
+ */
+export function placeTurnDigit(game, rules, r, c, num, settings) {
+    const players = game.players;
+    const player = players.current;
+    if (ownedByOther(game, r, c)) return [{ type: 'owned', player: players.owners[r][c] }];
+    const before = { ...game.scoring };
+    const mistakesBefore = game.mistakes;
+
+    // Mistakes are limited per player below, so the game itself has no limit
+    const events = placeDigit(game, rules, r, c, num, settings, 0);
+    if (!events) return null;
+    events.forEach(event => {
+        if (event.type === 'mistake' || event.type === 'wrong') event.player = player;
+    });
+
+    players.scores[player] += SCORE_PARTS
+        .filter(part => part.key !== 'time')
+        .reduce((total, part) => total + part.sign * (game.scoring[part.key] - before[part.key]), 0);
+    players.mistakes[player] += game.mistakes - mistakesBefore;
+    // A digit known to be wrong is nobody's, so anyone can put it right
+    players.owners[r][c] = events.some(event => event.type === 'mistake') ? -1 : player;
+    if (events.some(event => event.type === 'wrong')) releaseWrongDigits(game);
+    if (settings.mistakeLimit && players.mistakes[player] >= settings.mistakeLimit) {
+        players.out[player] = true;
+        events.push({ type: 'out', player });
+    }
+    if (game.isGameOver) return events;
+
+    if (players.out.every(out => out)) {
+        game.isGameOver = true;
+        events.push({ type: 'lost' });
+        return events;
+    }
+    do {
+        players.current = (players.current + 1) % players.names.length;
+    } while (players.out[players.current]);
+    game.scoring.streak = 0;
+    events.push({ type: 'turn', player: players.current });
+    return events;
+}
+
+/**
+ * Erases (r, c) for the player whose turn it is. Players can only take back
+ * their own digits, so it doesn't end the turn. Returns eraseCell()'s
+ * events, {type: 'owned', player} for another player's digit, or null.
+ */
+export function eraseTurnCell(game, rules, r, c, settings) {
+    const players = game.players;
+    if (ownedByOther(game, r, c)) return [{ type: 'owned', player: players.owners[r][c] }];
+    const events = eraseCell(game, rules, r, c, settings);
+    if (game.grid[r][c] === 0) players.owners[r][c] = -1;
+    return events;
+}
+
+// Digits of players who are out are free for the others to change
+function ownedByOther(game, r, c) {
+    const players = game.players;
+    const owner = players.owners[r][c];
+    return game.grid[r][c] !== 0 && owner !== -1 && owner !== players.current && !players.out[owner];
+}
+
+// Once a full board has been checked, its wrong digits are shown and free
+function releaseWrongDigits(game) {
+    game.grid.forEach((row, r) => row.forEach((val, c) => {
+        if (val !== game.solution[r][c]) game.players.owners[r][c] = -1;
+    }));
+}
+
+/**
+ * Records how the current race player's game ended and moves on to the
+ * next player. Returns false once every player has had their go.
+ */
+export function finishRaceTurn(game, outcome) {
+    const players = game.players;
+    players.results[players.current] = { outcome, time: game.timer, score: game.score, mistakes: game.mistakes };
+    if (players.current === players.names.length - 1) return false;
+    players.current++;
+    return true;
+}
+
+/**
+ * Players best first, as [{player, name, ...}]. Turns rank by score; a race
+ * ranks finishers by time, then the rest by score.
+ */
+export function rankPlayers(players) {
+    const entries = players.names.map((name, player) => (players.mode === 'turns'
+        ? { player, name, score: players.scores[player], mistakes: players.mistakes[player], out: players.out[player] }
+        : { player, name, ...players.results[player] }));
+    if (players.mode === 'turns') return entries.sort((a, b) => b.score - a.score);
+    return entries.sort((a, b) => {
+        const aWon = a.outcome === 'won';
+        const bWon = b.outcome === 'won';
+        if (aWon !== bWon) return aWon ? -1 : 1;
+        return aWon ? a.time - b.time || b.score - a.score : b.score - a.score;
+    });
+}
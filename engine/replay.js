@@ -0,0 +1,104 @@
+/**
+ * Sudoku Engine: replays
+ * A finished game as compact JSON: the puzzle, the result and every move
+ * from game.moves (see logMove() in game.js). Stepping through the moves
+ * from the givens rebuilds the board at any point of the game.
+ */
+
+import { BOARD_SIZES, DIFFICULTY, VARIANTS } from './constants.js';
+import { puzzleGivens } from './game.js';
+import { BoardRules } from './rules.js';
+
+export const REPLAY_VERSION = 1;
+const MOVE_TYPES = ['input', 'erase', 'note', 'auto-notes', 'clean-notes', 'hint', 'undo', 'redo'];
+
+/**
+ * Makes the replay of `game`, which ended as `outcome` ('won' or 'lost').
+ * The givens are the puzzle's own, so digits revealed by hints start out
+ * empty.
+ */
+export function createReplay(game, outcome) {
+    return JSON.parse(JSON.stringify({
+        version: REPLAY_VERSION,
+        gameId: game.gameId,
+        date: new Date().toISOString(),
+        level: game.level,
+        rules: game.rules,
+        rating: game.rating,
+        puzzleCode: game.puzzleCode,
+        givens: puzzleGivens(game),
+        solution: game.solution,
+        outcome,
+        time: game.timer,
+        score: game.score,
+        mistakes: game.mistakes,
+        hints: game.hintsUsed,
+        moves: game.moves
+    }));
+}
+
+/**
+ * Checks a replay read from a file.
+ * Returns {replay}, or {error} describing what is wrong.
+ */
+export function readReplay(replay) {
+    if (!replay || typeof replay !== 'object' || !Array.isArray(replay.moves)) return { error: 'not a replay' };
+    if (replay.version > REPLAY_VERSION) return { error: `made by a newer version (${replay.version})` };
+    if (!DIFFICULTY[replay.level]) return { error: `unknown difficulty "${replay.level}"` };
+    if (!replay.rules || !BOARD_SIZES[replay.rules.size || 9]) return { error: 'unknown board size' };
+    if (!VARIANTS[replay.rules.variant]) return { error: `unknown variant "${replay.rules.variant}"` };
+    const size = replay.rules.size || 9;
+
+    const isDigit = (val, min) => Number.isInteger(val) && val >= min && val <= size;
+    const isBoard = (grid, min) => Array.isArray(grid) && grid.length === size &&
+        grid.every(row => Array.isArray(row) && row.length === size && row.every(val => isDigit(val, min)));
+    if (!isBoard(replay.givens, 0)) return { error: 'givens have the wrong shape or digits' };
+    if (!isBoard(replay.solution, 1)) return { error: 'solution has the wrong shape or digits' };
+    if (typeof replay.gameId !== 'string') return { error: 'missing game id' };
+
+    const isCount = val => Number.isInteger(val) && val >= 0;
+    if (!['won', 'lost'].includes(replay.outcome) || !isCount(replay.time) || !isCount(replay.mistakes) ||
+        typeof replay.score !== 'number') {
+        return { error: 'result is not valid' };
+    }
+    const isChange = change => Array.isArray(change) && Number.isInteger(change[0]) && change[0] >= 0 &&
+        change[0] < size * size && isDigit(change[1], 0) && Array.isArray(change[2]) &&
+        change[2].every(val => isDigit(val, 1));
+    const badMove = replay.moves.findIndex(move => !Array.isArray(move) || !isCount(move[0]) ||
+        !MOVE_TYPES.includes(move[1]) || !Number.isInteger(move[2]) || !Array.isArray(move[3]) ||
+        !move[3].every(isChange) || !isCount(move[4]) || typeof move[5] !== 'number');
+    if (badMove !== -1) return { error: `move ${badMove + 1} is not valid` };
+
+    try {
+        BoardRules.fromJSON(replay.rules);
+    } catch (err) {
+        return { error: 'board rules are not valid' };
+    }
+    return { replay };
+}
+
+/**
+ * The board after the first `step` moves:
+ * {grid, given, notes, mistakes, score, time, move}, `given` marking the
+ * fixed digits and `move` being the last move applied (null at step 0).
+ */
+export function replayPosition(replay, step) {
+    const size = replay.givens.length;
+    const grid = replay.givens.map(row => [...row]);
+    const given = replay.givens.map(row => row.map(val => val !== 0));
+    const notes = Array.from({ length: size }, () => Array.from({ length: size }, () => []));
+    const position = { grid, given, notes, mistakes: 0, score: 0, time: 0, move: null };
+
+    replay.moves.slice(0, step).forEach(move => {
+        const [time, , , changes, mistakes, score] = move;
+        changes.forEach(([index, val, cellNotes, isGiven]) => {
+            const r = Math.floor(index / size);
+            const c = index % size;
+            grid[r][c] = val;
+            notes[r][c] = [...cellNotes];
+            given[r][c] = !!isGiven;
+        });
+        Object.assign(position, { mistakes, score, time, move });
+    });
+    return position;
+}
@@ -0,0 +1,188 @@
+/**
+ * Sudoku Engine: board rules
+ * Which cells constrain each other. Every variant is rows and columns plus
+ * its own regions, so the generator, solvers, validation, highlighting and
+ * note pruning all work from the same unit and peer lists.
+ */
+
+import { BOARD_SIZES, JIGSAW_SWAPS, WINDOKU_WINDOWS } from './constants.js';
+
+export class BoardRules {
+    /**
+     * @param {string} variant Key of VARIANTS
+     * @param {number[][]|null} regions Region index per cell, defaults to the size's boxes
+     * @param {{sum: number, cells: {r: number, c: number}[]}[]} cages Killer cages
+     * @param {number} size Key of BOARD_SIZES
+     */
+    constructor(variant = 'classic', regions = null, cages = [], size = 9) {
+        const { boxRows, boxCols } = BOARD_SIZES[size];
+        this.variant = variant;
+        this.size = size;
+        this.boxRows = boxRows;
+        this.boxCols = boxCols;
+        this.regions = regions || Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => Math.floor(r / boxRows) * boxRows + Math.floor(c / boxCols)));
+        this.cages = cages;
+        this.cageIds = Array.from({ length: size }, () => Array(size).fill(-1));
+        cages.forEach((cage, i) => cage.cells.forEach(({ r, c }) => {
+            this.cageIds[r][c] = i;
+        }));
+
+        this.units = this.buildUnits();
+        this.unitsByType = { row: [], column: [], box: [] };
+        this.units.forEach(unit => {
+            if (!this.unitsByType[unit.type]) this.unitsByType[unit.type] = [];
+            this.unitsByType[unit.type].push(unit);
+        });
+
+        // Per cell: the units containing it, peers as r*size+c keys and as cells
+        this.unitsOf = Array.from({ length: size }, () => Array.from({ length: size }, () => []));
+        this.peerKeys = Array.from({ length: size }, () => Array.from({ length: size }, () => new Set()));
+        this.units.forEach(unit => {
+            unit.cells.forEach(a => {
+                this.unitsOf[a.r][a.c].push(unit);
+                unit.cells.forEach(b => {
+                    if (a !== b) this.peerKeys[a.r][a.c].add(b.r * size + b.c);
+                });
+            });
+        });
+        this.peerCells = this.peerKeys.map(row => row.map(keys => [...keys].map(key => ({ r: Math.floor(key / size), c: key % size }))));
+    }
+
+    static fromJSON(data) {
+        if (!data) return new BoardRules();
+        return new BoardRules(data.variant, data.regions, data.cages, data.size || 9);
+    }
+
+    toJSON() {
+        return { variant: this.variant, size: this.size, regions: this.regions, cages: this.cages };
+    }
+
+    // Digits 1..size, in order
+    get digits() {
+        return Array.from({ length: this.size }, (_, i) => i + 1);
+    }
+
+    buildUnits() {
+        const range = Array.from({ length: this.size }, (_, i) => i);
+        const last = this.size - 1;
+        const units = [];
+        range.forEach(i => {
+            units.push({ type: 'row', index: i, complete: true, cells: range.map(j => ({ r: i, c: j })) });
+            units.push({ type: 'column', index: i, complete: true, cells: range.map(j => ({ r: j, c: i })) });
+        });
+
+        const regionCells = range.map(() => []);
+        range.forEach(r => range.forEach(c => regionCells[this.regions[r][c]].push({ r, c })));
+        regionCells.forEach((cells, i) => {
+            units.push({ type: 'box', name: this.variant === 'jigsaw' ? `region ${i + 1}` : null, index: i, complete: true, cells });
+        });
+
+        if (this.variant === 'diagonal') {
+            units.push({ type: 'diagonal', index: 0, complete: true, cells: range.map(i => ({ r: i, c: i })) });
+            units.push({ type: 'diagonal', index: 1, complete: true, cells: range.map(i => ({ r: i, c: last - i })) });
+        }
+        if (this.variant === 'windoku') {
+            WINDOKU_WINDOWS.forEach(([top, left], i) => {
+                const cells = range.map(j => ({ r: top + Math.floor(j / 3), c: left + (j % 3) }));
+                units.push({ type: 'window', index: i, complete: true, cells });
+            });
+        }
+        // A cage only holds distinct digits; it needs every digit only if it has size cells
+        this.cages.forEach((cage, i) => {
+            units.push({ type: 'cage', index: i, complete: cage.cells.length === this.size, cells: cage.cells });
+        });
+        return units;
+    }
+
+    isValid(grid, row, col, num) {
+        for (let { r, c } of this.peerCells[row][col]) {
+            if (grid[r][c] === num) return false;
+        }
+        const cageId = this.cageIds[row][col];
+        return cageId === -1 || this.cageAllows(grid, this.cages[cageId], row, col, num);
+    }
+
+    // The cage total must still be reachable with distinct digits in its empty cells
+    cageAllows(grid, cage, row, col, num) {
+        let sum = num;
+        let empty = 0;
+        cage.cells.forEach(({ r, c }) => {
+            if (r === row && c === col) return;
+            if (grid[r][c] === 0) empty++;
+            else sum += grid[r][c];
+        });
+        const min = empty * (empty + 1) / 2;                 // 1 + 2 + ...
+        const max = empty * (2 * this.size + 1 - empty) / 2; // size + (size - 1) + ...
+        return sum + min <= cage.sum && sum + max >= cage.sum;
+    }
+
+    isPeer(a, b) {
+        return this.peerKeys[a.r][a.c].has(b.r * this.size + b.c);
+    }
+
+    regionOf(r, c) {
+        return this.unitsByType.box[this.regions[r][c]];
+    }
+
+    // Cells of the diagonals or windows, shaded on the board
+    isExtraRegionCell(r, c) {
+        return this.unitsOf[r][c].some(unit => unit.type === 'diagonal' || unit.type === 'window');
+    }
+}
+
+export const CLASSIC_RULES = new BoardRules();
+
+/**
+ * Builds irregular jigsaw regions by starting from 3x3 boxes and swapping
+ * border cells between neighbouring regions, keeping every region in one piece.
+ */
+export function generateJigsawRegions(random) {
+    const regions = CLASSIC_RULES.regions.map(row => [...row]);
+    const neighbours = (r, c) => [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]
+        .filter(([nr, nc]) => nr >= 0 && nr < 9 && nc >= 0 && nc < 9);
+    const isConnected = (id) => {
+        const cells = [];
+        regions.forEach((row, r) => row.forEach((val, c) => {
+            if (val === id) cells.push([r, c]);
+        }));
+        const seen = new Set([cells[0].join()]);
+        const queue = [cells[0]];
+        while (queue.length) {
+            const [r, c] = queue.pop();
+            neighbours(r, c).forEach(([nr, nc]) => {
+                if (regions[nr][nc] === id && !seen.has(nr + ',' + nc)) {
+                    seen.add(nr + ',' + nc);
+                    queue.push([nr, nc]);
+                }
+            });
+        }
+        return seen.size === cells.length;
+    };
+
+    for (let i = 0; i < JIGSAW_SWAPS; i++) {
+        const r = Math.floor(random() * 9);
+        const c = Math.floor(random() * 9);
+        const a = regions[r][c];
+        const others = neighbours(r, c).filter(([nr, nc]) => regions[nr][nc] !== a);
+        if (others.length === 0) continue;
+        const [br, bc] = others[Math.floor(random() * others.length)];
+        const b = regions[br][bc];
+
+        // Give (r, c) to b and take back a cell of b that touches the rest of a
+        const returns = [];
+        regions.forEach((row, rr) => row.forEach((val, cc) => {
+            if (val === b && neighbours(rr, cc).some(([nr, nc]) => regions[nr][nc] === a && (nr !== r || nc !== c))) {
+                returns.push([rr, cc]);
+            }
+        }));
+        if (returns.length === 0) continue;
+        const [sr, sc] = returns[Math.floor(random() * returns.length)];
+        regions[r][c] = b;
+        regions[sr][sc] = a;
+        if (!isConnected(a) || !isConnected(b)) {
+            regions[r][c] = a;
+            regions[sr][sc] = b;
+        }
+    }
+    return regions;
+}
@@ -0,0 +1,189 @@
+/**
+ * Sudoku Engine: save format
+ * A save holds only what is needed to rebuild a game, plus a `version`. When
+ * the shape changes, bump SAVE_VERSION and add a step to SAVE_MIGRATIONS
+ * that upgrades the previous version; readSave() then checks the result.
+ */
+
+import { BOARD_SIZES, DIFFICULTY, VARIANTS } from './constants.js';
+import { newGameId } from './game.js';
+import { cellName } from './names.js';
+import { MAX_PLAYERS, MIN_PLAYERS, PLAYER_MODES } from './players.js';
+import { BoardRules } from './rules.js';
+import { newScoring } from './scoring.js';
+
+export const SAVE_VERSION = 6;
+const SAVED_FIELDS = [
+    'gameId', 'level', 'variant', 'rules', 'rating', 'seed', 'puzzleCode', 'daily',
+    'grid', 'solution', 'initial', 'notes', 'score', 'scoring', 'timer', 'mistakes', 'hintsUsed',
+    'countedDigits', 'isNoteMode', 'autoNotes', 'history', 'redoStack', 'moves', 'players'
+];
+
+const SAVE_MIGRATIONS = {
+    // Version 0: the whole state object, transient fields included
+    0: (save) => {
+        const upgraded = { version: 1 };
+        SAVED_FIELDS.forEach(field => {
+            upgraded[field] = save[field];
+        });
+        const size = Array.isArray(save.grid) ? save.grid.length : 9;
+        if (!upgraded.rules) upgraded.rules = new BoardRules('classic', null, [], BOARD_SIZES[size] ? size : 9).toJSON();
+        upgraded.variant = upgraded.rules.variant || 'classic';
+        if (!upgraded.notes) upgraded.notes = Array.from({ length: size }, () => Array.from({ length: size }, () => []));
+        // Older saves kept single-value history entries that can't be replayed
+        upgraded.history = (save.history || []).filter(action => action && action.cells);
+        upgraded.redoStack = save.redoStack || [];
+        upgraded.gameId = save.gameId || newGameId();
+        upgraded.hintsUsed = save.hintsUsed || 0;
+        upgraded.daily = save.daily || null;
+        upgraded.isNoteMode = !!save.isNoteMode;
+        upgraded.autoNotes = !!save.autoNotes;
+        return upgraded;
+    },
+    // Version 1: a score total without its breakdown
+    1: (save) => ({
+        ...save,
+        version: 2,
+        scoring: { ...newScoring(), placements: typeof save.score === 'number' ? save.score : 0 }
+    }),
+    // Version 2: no move log, so replays of these games start from the saved board
+    2: (save) => ({ ...save, version: 3, moves: [] }),
+    // Version 3: from before local multiplayer, so always a solo game
+    3: (save) => ({ ...save, version: 4, players: null }),
+    // Version 4: scored cells weren't kept, so take every correct digit entered as scored
+    4: (save) => {
+        const scored = [];
+        const at = (board, r, c) => (Array.isArray(board) && Array.isArray(board[r]) ? board[r][c] : undefined);
+        (Array.isArray(save.grid) ? save.grid : []).forEach((row, r) => (Array.isArray(row) ? row : []).forEach((val, c) => {
+            if (val !== 0 && at(save.initial, r, c) === 0 && val === at(save.solution, r, c)) scored.push(r * save.grid.length + c);
+        }));
+        return { ...save, version: 5, scoring: { ...save.scoring, scored } };
+    },
+    // Version 5: completed digits weren't kept, so none has counted yet
+    5: (save) => ({ ...save, version: 6, countedDigits: [] })
+};
+
+export function serializeGame(game) {
+    const save = { version: SAVE_VERSION };
+    SAVED_FIELDS.forEach(field => {
+        save[field] = game[field];
+    });
+    return JSON.parse(JSON.stringify(save));
+}
+
+/**
+ * Upgrades a stored save to SAVE_VERSION and checks it.
+ * Returns {state} with the fields to restore, or {error} describing what is wrong.
+ */
+export function readSave(save) {
+    try {
+        if (!save || typeof save !== 'object') return { error: 'not a saved game' };
+        let upgraded = JSON.parse(JSON.stringify(save));
+        let version = upgraded.version || 0;
+        if (version > SAVE_VERSION) return { error: `saved by a newer version (${version})` };
+        while (version < SAVE_VERSION) {
+            upgraded = SAVE_MIGRATIONS[version](upgraded);
+            version = upgraded.version;
+        }
+        const error = validateSave(upgraded);
+        return error ? { error } : { state: upgraded };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+// Returns a description of the first problem found, or null when the save is sound
+export function validateSave(save) {
+    if (!DIFFICULTY[save.level]) return `unknown difficulty "${save.level}"`;
+    if (!save.rules || !BOARD_SIZES[save.rules.size || 9]) return 'unknown board size';
+    if (!VARIANTS[save.rules.variant]) return `unknown variant "${save.rules.variant}"`;
+    const saveRules = BoardRules.fromJSON(save.rules);
+    const size = saveRules.size;
+
+    const isDigit = (val, min) => Number.isInteger(val) && val >= min && val <= size;
+    const isBoard = (grid, min) => Array.isArray(grid) && grid.length === size &&
+        grid.every(row => Array.isArray(row) && row.length === size && row.every(val => isDigit(val, min)));
+    if (!isBoard(save.grid, 0)) return 'grid has the wrong shape or digits';
+    if (!isBoard(save.initial, 0)) return 'givens have the wrong shape or digits';
+    if (!isBoard(save.solution, 1)) return 'solution has the wrong shape or digits';
+    const notesOk = Array.isArray(save.notes) && save.notes.length === size && save.notes.every(row =>
+        Array.isArray(row) && row.length === size && row.every(cell => Array.isArray(cell) && cell.every(val => isDigit(val, 1))));
+    if (!notesOk) return 'notes have the wrong shape or digits';
+
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            const given = save.initial[r][c];
+            if (given !== 0 && (given !== save.solution[r][c] || given !== save.grid[r][c])) {
+                return `given at ${cellName(r, c)} doesn't match the board`;
+            }
+            const num = save.solution[r][c];
+            save.solution[r][c] = 0;
+            const fits = saveRules.isValid(save.solution, r, c, num);
+            save.solution[r][c] = num;
+            if (!fits) return `solution breaks the rules at ${cellName(r, c)}`;
+        }
+    }
+
+    const isCount = val => Number.isInteger(val) && val >= 0;
+    if (!isCount(save.timer) || !isCount(save.mistakes) || !isCount(save.hintsUsed) || typeof save.score !== 'number') {
+        return 'counters are not valid numbers';
+    }
+    if (!Array.isArray(save.countedDigits) || !save.countedDigits.every(val => isDigit(val, 1))) return 'counted digits are not valid';
+    // Undo snapshots from before version 5 have no scored cells
+    const isScoring = (scoring, snapshot) => !!scoring && Object.keys(newScoring()).every(key => (key === 'scored'
+        ? (snapshot && scoring.scored === undefined) ||
+            (Array.isArray(scoring.scored) && scoring.scored.every(cell => isCount(cell) && cell < size * size))
+        : isCount(scoring[key])));
+    if (!isScoring(save.scoring, false)) return 'score breakdown is not valid';
+    if (!Array.isArray(save.history) || !Array.isArray(save.redoStack)) return 'history is not a list';
+
+    // Commands must have everything restoreAction() reads; older ones may lack the breakdown
+    const isIndex = val => Number.isInteger(val) && val >= 0 && val < size;
+    const isSnapshot = snap => !!snap && isDigit(snap.val, 0) && isDigit(snap.given, 0) &&
+        Array.isArray(snap.notes) && snap.notes.every(val => isDigit(val, 1));
+    const isCounters = side => !!side && typeof side.score === 'number' && isCount(side.mistakes) &&
+        (side.scoring === undefined || isScoring(side.scoring, true));
+    const isCell = cell => !!cell && isIndex(cell.r) && isIndex(cell.c);
+    const isCommand = action => !!action && (!action.selected || isCell(action.selected)) &&
+        isCounters(action.before) && isCounters(action.after) &&
+        Array.isArray(action.cells) && action.cells.every(cell => isCell(cell) && isSnapshot(cell.before) && isSnapshot(cell.after));
+    if (!save.history.every(isCommand) || !save.redoStack.every(isCommand)) return 'undo history has a broken command';
+    if (!Array.isArray(save.moves)) return 'move log is not a list';
+    if (save.players !== null) {
+        const players = save.players;
+        const count = players && Array.isArray(players.names) ? players.names.length : 0;
+        if (!players || !PLAYER_MODES[players.mode] || count < MIN_PLAYERS || count > MAX_PLAYERS ||
+            !Number.isInteger(players.current) || players.current < 0 || players.current >= count) {
+            return 'players are not valid';
+        }
+        const isList = (list, isValue) => Array.isArray(list) && list.length === count && Array.from(list).every(isValue);
+        if (players.mode === 'turns') {
+            if (!isList(players.scores, val => typeof val === 'number') || !isList(players.mistakes, isCount) ||
+                !isList(players.out, val => typeof val === 'boolean')) {
+                return 'player scores are not valid';
+            }
+            const isOwner = val => Number.isInteger(val) && val >= -1 && val < count;
+            const ownersOk = Array.isArray(players.owners) && players.owners.length === size &&
+                players.owners.every(row => Array.isArray(row) && row.length === size && row.every(isOwner));
+            if (!ownersOk) return 'digit owners have the wrong shape';
+        } else {
+            // Every racer is given this puzzle afresh, so it must be the one being played
+            const puzzle = players.puzzle;
+            if (!puzzle || !isBoard(puzzle.initial, 0) || !isBoard(puzzle.solution, 1) ||
+                JSON.stringify(puzzle.solution) !== JSON.stringify(save.solution) ||
+                JSON.stringify(puzzle.rules) !== JSON.stringify(save.rules)) {
+                return 'race puzzle is not valid';
+            }
+            // One result per player done: everyone before the current one, and them too once it's over
+            const isResult = result => !!result && (result.outcome === 'won' || result.outcome === 'lost') &&
+                isCount(result.time) && typeof result.score === 'number' && isCount(result.mistakes);
+            const results = players.results;
+            if (!Array.isArray(results) || results.length < players.current || results.length > players.current + 1 ||
+                !Array.from(results).every(isResult)) {
+                return 'race results are not valid';
+            }
+        }
+    }
+    if (typeof save.gameId !== 'string') return 'missing game id';
+    return null;
+}
@@ -0,0 +1,72 @@
+/**
+ * Sudoku Engine: scoring
+ * A game's score is the sum of its scoring parts, so the game-over screen
+ * can show where it came from. A correct digit earns SCORING.cellPoints
+ * scaled by the difficulty, by how many digits the cell could still have
+ * held, and by the assists turned off; a run of correct digits adds a combo
+ * bonus on top. Each cell scores once, however often it is erased and
+ * solved again. Mistakes and hints are counted as penalties, and a win
+ * before the par time adds a time bonus.
+ */
+
+import { DIFFICULTY } from './constants.js';
+
+export const SCORING = {
+    cellPoints: 10,
+    comboStep: 0.1,   // Each digit in a row adds 10% of its points...
+    maxCombo: 1,      // ...up to double points
+    mistakePenalty: 50,
+    parSeconds: { easy: 600, medium: 900, hard: 1200, expert: 1800 }, // For 81 cells
+    timeBonusPerSecond: 1
+};
+
+export const SCORE_PARTS = [
+    { key: 'placements', name: 'Digits placed', sign: 1 },
+    { key: 'combo', name: 'Combo bonus', sign: 1 },
+    { key: 'time', name: 'Time bonus', sign: 1 },
+    { key: 'mistakes', name: 'Mistakes', sign: -1 },
+    { key: 'hints', name: 'Hints', sign: -1 }
+];
+
+// `scored` lists the cells that have earned their points, as r * size + c
+export function newScoring() {
+    return { placements: 0, combo: 0, time: 0, mistakes: 0, hints: 0, streak: 0, bestStreak: 0, scored: [] };
+}
+
+export function scoreTotal(scoring) {
+    return Math.max(0, SCORE_PARTS.reduce((total, part) => total + part.sign * scoring[part.key], 0));
+}
+
+// Playing with fewer of `settings`' assists is worth more
+export function assistMultiplier(settings) {
+    let multiplier = 1;
+    if (settings.errorChecking === 'conflicts') multiplier += 0.2;
+    if (settings.errorChecking === 'deferred') multiplier += 0.4;
+    if (settings.highlightConflicts) multiplier -= 0.1;
+    if (!settings.highlightRegion) multiplier += 0.1;
+    if (!settings.highlightSameNumber) multiplier += 0.1;
+    if (!settings.autoRemoveNotes) multiplier += 0.1;
+    if (!settings.mistakeLimit) multiplier -= 0.2;
+    return Math.round(multiplier * 10) / 10;
+}
+
+/**
+ * Points for one correct digit. `candidates` is how many digits the cell
+ * could still have held: a forced cell earns the base points, one open to
+ * every digit earns twice that.
+ */
+export function placementPoints(level, size, candidates, assists) {
+    const openness = 1 + (Math.max(1, candidates) - 1) / (size - 1);
+    return Math.round(SCORING.cellPoints * DIFFICULTY[level].multiplier * openness * assists);
+}
+
+// Bonus for a digit placed after `streak` correct ones in a row
+export function comboPoints(points, streak) {
+    return Math.round(points * Math.min(streak * SCORING.comboStep, SCORING.maxCombo));
+}
+
+// Seconds under par are worth points, scaled by difficulty; par grows with the board
+export function timeBonus(level, cells, seconds) {
+    const par = SCORING.parSeconds[level] * cells / 81;
+    return Math.round(Math.max(0, par - seconds) * SCORING.timeBonusPerSecond * DIFFICULTY[level].multiplier);
+}
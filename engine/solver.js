@@ -0,0 +1,418 @@
+/**
+ * Sudoku Engine: logical solver
+ * Solves step by step with human techniques, so puzzles can be graded by
+ * the hardest technique they need instead of by how many clues they have.
+ */
+
+import { tierRank } from './constants.js';
+import { cellName, formatDigit, listText, unitName } from './names.js';
+import { CLASSIC_RULES } from './rules.js';
+
+// Solving techniques, ordered from easiest to hardest. A puzzle's tier is the
+// tier of the hardest technique needed to solve it.
+export const TECHNIQUES = [
+    { id: 'nakedSingle', name: 'Naked Single', tier: 'easy', find: s => s.findNakedSingle() },
+    { id: 'hiddenSingle', name: 'Hidden Single', tier: 'easy', find: s => s.findHiddenSingle() },
+    { id: 'cageSum', name: 'Cage Sum', tier: 'easy', find: s => s.findCageCombination() },
+    { id: 'pointing', name: 'Pointing', tier: 'medium', find: s => s.findPointing() },
+    { id: 'boxLine', name: 'Box/Line Reduction', tier: 'medium', find: s => s.findBoxLine() },
+    { id: 'nakedPair', name: 'Naked Pair', tier: 'hard', find: s => s.findNakedSubset(2) },
+    { id: 'hiddenPair', name: 'Hidden Pair', tier: 'hard', find: s => s.findHiddenSubset(2) },
+    { id: 'nakedTriple', name: 'Naked Triple', tier: 'hard', find: s => s.findNakedSubset(3) },
+    { id: 'hiddenTriple', name: 'Hidden Triple', tier: 'hard', find: s => s.findHiddenSubset(3) },
+    { id: 'xWing', name: 'X-Wing', tier: 'expert', find: s => s.findFish(2) },
+    { id: 'xyWing', name: 'XY-Wing', tier: 'expert', find: s => s.findXYWing() },
+    { id: 'swordfish', name: 'Swordfish', tier: 'expert', find: s => s.findFish(3) }
+];
+
+function maskDigits(mask) {
+    const digits = [];
+    for (let num = 1; mask >> num; num++) {
+        if (mask & (1 << num)) digits.push(num);
+    }
+    return digits;
+}
+
+export function bitCount(mask) {
+    let count = 0;
+    while (mask) {
+        mask &= mask - 1;
+        count++;
+    }
+    return count;
+}
+
+function combinations(items, size, start = 0, prefix = [], out = []) {
+    if (prefix.length === size) {
+        out.push(prefix);
+        return out;
+    }
+    for (let i = start; i < items.length; i++) {
+        combinations(items, size, i + 1, [...prefix, items[i]], out);
+    }
+    return out;
+}
+
+export class LogicalSolver {
+    /**
+     * @param {string|null} maxTier If given, only techniques up to this tier are tried
+     */
+    constructor(grid, rules = CLASSIC_RULES, maxTier = null) {
+        this.grid = grid.map(row => [...row]);
+        this.rules = rules;
+        this.techniques = maxTier ? TECHNIQUES.filter(t => tierRank(t.tier) <= tierRank(maxTier)) : TECHNIQUES;
+        this.size = rules.size;
+        this.units = rules.units;
+        this.unitsByType = rules.unitsByType;
+
+        // Candidate bitmasks: bit n set means n is still possible
+        this.candidates = Array.from({ length: this.size }, () => Array(this.size).fill(0));
+        for (let r = 0; r < this.size; r++) {
+            for (let c = 0; c < this.size; c++) {
+                if (this.grid[r][c] !== 0) continue;
+                for (let num = 1; num <= this.size; num++) {
+                    if (rules.isValid(this.grid, r, c, num)) this.candidates[r][c] |= 1 << num;
+                }
+            }
+        }
+    }
+
+    /**
+     * Rates a puzzle by the hardest technique needed to solve it.
+     * Puzzles the techniques (up to maxTier) cannot finish get a null tier.
+     */
+    static rate(grid, rules = CLASSIC_RULES, maxTier = null) {
+        const result = new LogicalSolver(grid, rules, maxTier).solve();
+        if (!result.solved) return { tier: null, technique: null };
+        const hardest = result.hardest || TECHNIQUES[0];
+        return { tier: hardest.tier, technique: hardest.name };
+    }
+
+    peers(r, c) {
+        return this.rules.peerCells[r][c];
+    }
+
+    isPeer(a, b) {
+        return this.rules.isPeer(a, b);
+    }
+
+    hasCandidate(r, c, num) {
+        return (this.candidates[r][c] & (1 << num)) !== 0;
+    }
+
+    boxOf(r, c) {
+        return this.rules.regionOf(r, c);
+    }
+
+    solve() {
+        const steps = [];
+        let hardest = null;
+        let step;
+        while ((step = this.nextStep())) {
+            steps.push(step);
+            this.applyStep(step);
+            const technique = TECHNIQUES.find(t => t.id === step.technique);
+            if (!hardest || TECHNIQUES.indexOf(technique) > TECHNIQUES.indexOf(hardest)) {
+                hardest = technique;
+            }
+        }
+        const solved = this.grid.every(row => row.every(val => val !== 0));
+        return { solved, steps, hardest };
+    }
+
+    /**
+     * Finds the next step using the easiest technique that makes progress.
+     * A step lists its placements, candidate eliminations, the cells forming
+     * the pattern and a plain-language description.
+     */
+    nextStep() {
+        for (let technique of this.techniques) {
+            const step = technique.find(this);
+            if (step) return step;
+        }
+        return null;
+    }
+
+    applyStep(step) {
+        step.placements.forEach(({ r, c, num }) => {
+            this.grid[r][c] = num;
+            this.candidates[r][c] = 0;
+            this.peers(r, c).forEach(p => {
+                this.candidates[p.r][p.c] &= ~(1 << num);
+            });
+        });
+        step.eliminations.forEach(({ r, c, num }) => {
+            this.candidates[r][c] &= ~(1 << num);
+        });
+    }
+
+    findNakedSingle() {
+        for (let r = 0; r < this.size; r++) {
+            for (let c = 0; c < this.size; c++) {
+                const digits = maskDigits(this.candidates[r][c]);
+                if (this.grid[r][c] === 0 && digits.length === 1) {
+                    return {
+                        technique: 'nakedSingle',
+                        placements: [{ r, c, num: digits[0] }],
+                        eliminations: [],
+                        cells: [{ r, c }],
+                        unit: null,
+                        description: `Naked single: ${cellName(r, c)} can only be ${formatDigit(digits[0])}`
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    findHiddenSingle() {
+        for (let unit of this.units) {
+            if (!unit.complete) continue;
+            for (let num = 1; num <= this.size; num++) {
+                const spots = unit.cells.filter(({ r, c }) => this.hasCandidate(r, c, num));
+                if (spots.length !== 1) continue;
+                const { r, c } = spots[0];
+                return {
+                    technique: 'hiddenSingle',
+                    placements: [{ r, c, num }],
+                    eliminations: [],
+                    cells: [{ r, c }],
+                    unit,
+                    description: `Hidden single: ${formatDigit(num)} can only go in ${cellName(r, c)} within ${unitName(unit)}`
+                };
+            }
+        }
+        return null;
+    }
+
+    findPointing() {
+        return this.findIntersection(false);
+    }
+
+    findBoxLine() {
+        return this.findIntersection(true);
+    }
+
+    /**
+     * If a digit's candidates in a complete unit all fall inside another
+     * unit, the digit can't go anywhere else in that other unit. Starting
+     * from a row or column this is box/line reduction, otherwise pointing.
+     */
+    findIntersection(fromLines) {
+        const same = (a, b) => a.r === b.r && a.c === b.c;
+        for (let from of this.units) {
+            const isLine = from.type === 'row' || from.type === 'column';
+            if (!from.complete || isLine !== fromLines) continue;
+            for (let num = 1; num <= this.size; num++) {
+                const spots = from.cells.filter(({ r, c }) => this.hasCandidate(r, c, num));
+                if (spots.length < 2) continue;
+                const targets = this.rules.unitsOf[spots[0].r][spots[0].c]
+                    .filter(unit => unit !== from && spots.every(s => unit.cells.some(cell => same(cell, s))));
+                for (let target of targets) {
+                    const eliminations = target.cells
+                        .filter(cell => !from.cells.some(f => same(f, cell)))
+                        .filter(({ r, c }) => this.hasCandidate(r, c, num))
+                        .map(({ r, c }) => ({ r, c, num }));
+                    if (eliminations.length === 0) continue;
+                    return {
+                        technique: fromLines ? 'boxLine' : 'pointing',
+                        placements: [],
+                        eliminations,
+                        cells: spots,
+                        unit: from,
+                        description: `${fromLines ? 'Box/line reduction' : 'Pointing'}: within ${unitName(from)}, ${formatDigit(num)} is confined to ${unitName(target)}, so it is removed from the rest of ${unitName(target)}`
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Killer cages: keeps only the candidates that appear in some set of
+     * distinct digits adding up to what is left of the cage total.
+     */
+    findCageCombination() {
+        for (let unit of this.unitsByType.cage || []) {
+            const cage = this.rules.cages[unit.index];
+            const open = unit.cells.filter(({ r, c }) => this.grid[r][c] === 0);
+            if (open.length === 0) continue;
+            const remaining = cage.sum - unit.cells.reduce((sum, { r, c }) => sum + this.grid[r][c], 0);
+
+            const possible = open.map(() => 0);
+            const assign = (i, sum, used) => {
+                if (i === open.length) return sum === remaining;
+                let found = false;
+                for (let num of maskDigits(this.candidates[open[i].r][open[i].c])) {
+                    const bit = 1 << num;
+                    if (used & bit || sum + num > remaining) continue;
+                    if (assign(i + 1, sum + num, used | bit)) {
+                        possible[i] |= bit;
+                        found = true;
+                    }
+                }
+                return found;
+            };
+            assign(0, 0, 0);
+
+            const eliminations = [];
+            open.forEach(({ r, c }, i) => {
+                maskDigits(this.candidates[r][c] & ~possible[i]).forEach(num => eliminations.push({ r, c, num }));
+            });
+            if (eliminations.length === 0) continue;
+            return {
+                technique: 'cageSum',
+                placements: [],
+                eliminations,
+                cells: unit.cells,
+                unit,
+                description: `Cage sum: no set of different digits adding up to ${cage.sum} in ${unitName(unit)} uses ${listText([...new Set(eliminations.map(e => e.num))].sort())} where they are removed`
+            };
+        }
+        return null;
+    }
+
+    findNakedSubset(size) {
+        const technique = size === 2 ? 'nakedPair' : 'nakedTriple';
+        const label = size === 2 ? 'Naked pair' : 'Naked triple';
+        for (let unit of this.units) {
+            const open = unit.cells.filter(({ r, c }) => {
+                const count = bitCount(this.candidates[r][c]);
+                return count >= 2 && count <= size;
+            });
+            for (let combo of combinations(open, size)) {
+                const union = combo.reduce((mask, { r, c }) => mask | this.candidates[r][c], 0);
+                if (bitCount(union) !== size) continue;
+                const digits = maskDigits(union);
+                const digitText = listText(digits.map(formatDigit));
+                const eliminations = [];
+                unit.cells.filter(cell => !combo.includes(cell)).forEach(({ r, c }) => {
+                    digits.forEach(num => {
+                        if (this.hasCandidate(r, c, num)) eliminations.push({ r, c, num });
+                    });
+                });
+                if (eliminations.length === 0) continue;
+                return {
+                    technique,
+                    placements: [],
+                    eliminations,
+                    cells: combo,
+                    unit,
+                    description: `${label}: ${listText(combo.map(s => cellName(s.r, s.c)))} can only hold ${digitText}, so ${digitText} are removed from the rest of ${unitName(unit)}`
+                };
+            }
+        }
+        return null;
+    }
+
+    findHiddenSubset(size) {
+        const technique = size === 2 ? 'hiddenPair' : 'hiddenTriple';
+        const label = size === 2 ? 'Hidden pair' : 'Hidden triple';
+        for (let unit of this.units) {
+            if (!unit.complete) continue;
+            const spotsByNum = {};
+            const nums = [];
+            for (let num = 1; num <= this.size; num++) {
+                const spots = unit.cells.filter(({ r, c }) => this.hasCandidate(r, c, num));
+                if (spots.length >= 2 && spots.length <= size) {
+                    spotsByNum[num] = spots;
+                    nums.push(num);
+                }
+            }
+            for (let combo of combinations(nums, size)) {
+                const cells = [...new Set(combo.flatMap(num => spotsByNum[num]))];
+                if (cells.length !== size) continue;
+                const eliminations = [];
+                cells.forEach(({ r, c }) => {
+                    maskDigits(this.candidates[r][c])
+                        .filter(num => !combo.includes(num))
+                        .forEach(num => eliminations.push({ r, c, num }));
+                });
+                if (eliminations.length === 0) continue;
+                return {
+                    technique,
+                    placements: [],
+                    eliminations,
+                    cells,
+                    unit,
+                    description: `${label}: ${listText(combo.map(formatDigit))} only appear in ${listText(cells.map(s => cellName(s.r, s.c)))} within ${unitName(unit)}, so other candidates are removed from those cells`
+                };
+            }
+        }
+        return null;
+    }
+
+    findFish(size) {
+        const technique = size === 2 ? 'xWing' : 'swordfish';
+        const label = size === 2 ? 'X-Wing' : 'Swordfish';
+        for (let [baseType, coverType] of [['row', 'column'], ['column', 'row']]) {
+            for (let num = 1; num <= this.size; num++) {
+                const bases = this.unitsByType[baseType].filter(unit => {
+                    const count = unit.cells.filter(({ r, c }) => this.hasCandidate(r, c, num)).length;
+                    return count >= 2 && count <= size;
+                });
+                for (let combo of combinations(bases, size)) {
+                    const spots = combo.flatMap(unit => unit.cells.filter(({ r, c }) => this.hasCandidate(r, c, num)));
+                    const coverIndexes = [...new Set(spots.map(s => (coverType === 'column' ? s.c : s.r)))];
+                    if (coverIndexes.length !== size) continue;
+                    const eliminations = [];
+                    coverIndexes.forEach(index => {
+                        this.unitsByType[coverType][index].cells
+                            .filter(cell => !combo.some(base => base.index === (baseType === 'row' ? cell.r : cell.c)))
+                            .filter(({ r, c }) => this.hasCandidate(r, c, num))
+                            .forEach(({ r, c }) => eliminations.push({ r, c, num }));
+                    });
+                    if (eliminations.length === 0) continue;
+                    const baseNames = listText(combo.map(u => u.index + 1));
+                    const coverNames = listText(coverIndexes.sort((a, b) => a - b).map(i => i + 1));
+                    return {
+                        technique,
+                        placements: [],
+                        eliminations,
+                        cells: spots,
+                        unit: null,
+                        description: `${label}: ${formatDigit(num)} in ${baseType}s ${baseNames} is limited to ${coverType}s ${coverNames}, so it is removed from the rest of those ${coverType}s`
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    findXYWing() {
+        for (let r = 0; r < this.size; r++) {
+            for (let c = 0; c < this.size; c++) {
+                const pivotMask = this.candidates[r][c];
+                if (bitCount(pivotMask) !== 2) continue;
+                const pivot = { r, c };
+                const pincers = this.peers(r, c).filter(p => bitCount(this.candidates[p.r][p.c]) === 2);
+                for (let a of pincers) {
+                    const aMask = this.candidates[a.r][a.c];
+                    const shared = aMask & pivotMask;
+                    if (aMask === pivotMask || bitCount(shared) !== 1) continue;
+                    const zMask = aMask & ~pivotMask;
+                    const bWanted = (pivotMask & ~shared) | zMask;
+                    for (let b of pincers) {
+                        if (this.candidates[b.r][b.c] !== bWanted) continue;
+                        const z = maskDigits(zMask)[0];
+                        const eliminations = this.peers(a.r, a.c)
+                            .filter(cell => this.isPeer(cell, b) && !(cell.r === r && cell.c === c))
+                            .filter(cell => this.hasCandidate(cell.r, cell.c, z))
+                            .map(cell => ({ r: cell.r, c: cell.c, num: z }));
+                        if (eliminations.length === 0) continue;
+                        const describe = cell => `${cellName(cell.r, cell.c)} {${maskDigits(this.candidates[cell.r][cell.c]).map(formatDigit).join(',')}}`;
+                        return {
+                            technique: 'xyWing',
+                            placements: [],
+                            eliminations,
+                            cells: [pivot, a, b],
+                            unit: null,
+                            description: `XY-Wing: pivot ${describe(pivot)} with pincers ${describe(a)} and ${describe(b)}, so any cell seeing both pincers cannot be ${formatDigit(z)}`
+                        };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * Sudoku Engine: generation worker
+ * Generates puzzles off the page's main thread. Each message is a request
+ * {id, level, seed, variant, size}; the reply is {id, puzzle, seed}, or
+ * {id, error} if generation threw.
+ */
+
+import { SudokuGenerator } from './generator.js';
+
+self.onmessage = (event) => {
+    const { id, level, seed, variant, size } = event.data;
+    try {
+        const generator = new SudokuGenerator(seed, variant, size);
+        const puzzle = generator.generate(level);
+        self.postMessage({ id, puzzle, seed: generator.seed });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
@@ -1,183 +1,264 @@
 /**
- * Sudoku Game Logic
- * Contains Generator, Game State Management, and UI Interaction
+ * Sudoku UI
+ * Screens, rendering, input, storage and settings on top of the puzzle
+ * engine in engine/, which has no DOM dependency
  */
 
-// --- Constants & Config ---
-const DIFFICULTY = {
-    easy: { removed: 30, multiplier: 1 },
-    medium: { removed: 40, multiplier: 1.5 },
-    hard: { removed: 50, multiplier: 2 },
-    expert: { removed: 55, multiplier: 3 } // Hidden option if needed, or just handle 3
-};
+import { ACHIEVEMENTS, achievementProgress, createProgress, playerLevel, recordEvent } from './engine/achievements.js';
+import { ANY_SIZE_VARIANTS, DEFAULT_MISTAKE_LIMIT, HINT_TIERS, VARIANTS } from './engine/constants.js';
+import { EXPORT_FORMATS, decodePuzzleCode, encodePuzzleCode, formatPuzzleText, parsePuzzleText } from './engine/formats.js';
+import {
+    cleanNotes, createGame, eraseCell, hintEliminationsAt, isDigitSolved, placeDigit, puzzleGivens, redoAction,
+    revealHint, setAutoNotes, toggleNote, toggleNoteInCells, undoAction
+} from './engine/game.js';
+import { SudokuGenerator, preparePuzzle } from './engine/generator.js';
+import { cellName, formatDigit, listText, parseDigit, unitName } from './engine/names.js';
+import {
+    MAX_PLAYERS, MIN_PLAYERS, PLAYER_MODES, createPlayers, eraseTurnCell, finishRaceTurn, placeTurnDigit, rankPlayers
+} from './engine/players.js';
+import { createReplay, readReplay, replayPosition } from './engine/replay.js';
+import { BoardRules } from './engine/rules.js';
+import { readSave, serializeGame } from './engine/save-format.js';
+import { SCORE_PARTS, assistMultiplier, scoreTotal } from './engine/scoring.js';
 
-const HINT_COST = 50;
-const MAX_MISTAKES = 3;
+// --- Constants & Config ---
+const DEFAULT_MODAL_FOOTER = `<button class="btn btn-primary-custom" onclick="showHome()">Home</button>`;
 
 // --- State Management ---
+// The game in progress: the engine's game object (see createGame()) plus
+// what only the page needs. Before the first game only these are set.
 let state = {
-    grid: [],         // The current state of the grid (0 for empty)
-    solution: [],     // The full solved grid
-    initial: [],      // The grid state at start (to know which are fixed)
-    notes: [],        // 9x9 array of Sets/Arrays for notes
     selectedCell: null, // {r, c}
-    score: 0,
-    timer: 0,
     timerInterval: null,
-    mistakes: 0,
-    level: 'easy',
     isNoteMode: false,
-    history: [],      // For Undo: {type: 'input'|'note', r, c, val, prevVal}
+    autoNotes: false,   // Carried over into the next game
     isPaused: false,
     isGameOver: false
 };
 
-// --- Sudoku Generator Class ---
-class SudokuGenerator {
-    constructor() {
-        this.grid = Array.from({ length: 9 }, () => Array(9).fill(0));
-    }
+// Rules of the game in progress, rebuilt from state.rules on start and resume
+let rules = null;
+// Variant and board size picked on the home screen
+let selectedVariant = 'classic';
+let selectedSize = 9;
 
-    isValid(grid, row, col, num) {
-        for (let x = 0; x < 9; x++) {
-            if (grid[row][x] === num) return false;
-            if (grid[x][col] === num) return false;
-        }
-        const startRow = Math.floor(row / 3) * 3;
-        const startCol = Math.floor(col / 3) * 3;
-        for (let i = 0; i < 3; i++) {
-            for (let j = 0; j < 3; j++) {
-                if (grid[startRow + i][startCol + j] === num) return false;
-            }
-        }
-        return true;
-    }
-
-    fillGrid(grid) {
-        for (let row = 0; row < 9; row++) {
-            for (let col = 0; col < 9; col++) {
-                if (grid[row][col] === 0) {
-                    const nums = [1, 2, 3, 4, 5, 6, 7, 8, 9].sort(() => Math.random() - 0.5);
-                    for (let num of nums) {
-                        if (this.isValid(grid, row, col, num)) {
-                            grid[row][col] = num;
-                            if (this.fillGrid(grid)) return true;
-                            grid[row][col] = 0;
-                        }
-                    }
-                    return false;
-                }
-            }
-        }
-        return true;
+// --- Game Control ---
+
+/**
+ * Starts a new game. By default a puzzle of `options.variant` and
+ * `options.size` (or those picked on the home screen) is generated, from
+ * `options.seed` if given, with a spinner shown meanwhile; `options.puzzle`
+ * ({initial, solution, rating, rules}) plays an imported one.
+ * `options.daily` marks a daily challenge, and `options.multiplayer`
+ * ({mode, names}) makes it a local multiplayer game.
+ * Each game gets its own save slot; when all MAX_SAVES are taken the player
+ * is asked before the oldest one is discarded.
+ */
+function startGame(level, options = {}) {
+    if (isGenerating) return;
+    const oldest = savedGames.length >= MAX_SAVES ? savedGames[savedGames.length - 1] : null;
+    if (oldest && !confirm(`You already have ${MAX_SAVES} saved games. Discard the oldest (${describeSave(oldest)}) to start a new one?`)) {
+        return;
     }
+    if (oldest) deleteSave(oldest.id);
 
-    generate(difficulty) {
-        // Reset
-        this.grid = Array.from({ length: 9 }, () => Array(9).fill(0));
-        // Fill Diagonal 3x3 boxes first (independent) for randomness
-        for (let i = 0; i < 9; i = i + 3) {
-            this.fillBox(i, i);
-        }
-        // Fill rest
-        this.fillGrid(this.grid);
-
-        const solution = JSON.parse(JSON.stringify(this.grid));
-
-        // Remove numbers
-        const attempts = DIFFICULTY[difficulty] ? DIFFICULTY[difficulty].removed : 30;
-        let count = attempts;
-        while (count > 0) {
-            let r = Math.floor(Math.random() * 9);
-            let c = Math.floor(Math.random() * 9);
-            if (this.grid[r][c] !== 0) {
-                this.grid[r][c] = 0;
-                count--;
-            }
-        }
+    const variant = options.variant || selectedVariant;
+    const size = options.size || (ANY_SIZE_VARIANTS.includes(variant) ? selectedSize : 9);
 
-        return {
-            initial: JSON.parse(JSON.stringify(this.grid)),
-            solution: solution
-        };
+    if (options.puzzle) {
+        beginGame(level, options.puzzle, { daily: options.daily });
+        return;
     }
 
-    fillBox(row, col) {
-        let num;
-        for (let i = 0; i < 3; i++) {
-            for (let j = 0; j < 3; j++) {
-                do {
-                    num = Math.floor(Math.random() * 9) + 1;
-                } while (!this.isSafeBox(row, col, num));
-                this.grid[row + i][col + j] = num;
+    showGenerating(true);
+    generatePuzzle({ level, seed: options.seed, variant, size })
+        .then(({ puzzle, seed }) => {
+            showGenerating(false);
+            const puzzleCode = encodePuzzleCode(level, seed, variant, size);
+            const players = options.multiplayer
+                ? createPlayers(options.multiplayer.mode, options.multiplayer.names, puzzle)
+                : null;
+            // The puzzle can miss the level asked for, so the game is labelled
+            // and scored by its rating; the code keeps the level it was made with
+            beginGame(puzzle.rating.tier || 'expert', puzzle, { seed, puzzleCode, daily: options.daily, players });
+        })
+        .catch(err => {
+            showGenerating(false);
+            if (err.cancelled) {
+                announce('Puzzle generation cancelled');
+                return;
             }
-        }
-    }
+            console.log('Could not generate a puzzle', err);
+            alert("Could not generate a puzzle. Please try again.");
+        });
+}
 
-    isSafeBox(rowStart, colStart, num) {
-        for (let i = 0; i < 3; i++) {
-            for (let j = 0; j < 3; j++) {
-                if (this.grid[rowStart + i][colStart + j] === num) return false;
-            }
-        }
-        return true;
-    }
+// Sets up and shows a game for a puzzle; `options` are createGame()'s
+function beginGame(level, puzzle, options) {
+    state = {
+        ...createGame(level, puzzle, { ...options, autoNotes: state.autoNotes }),
+        selectedCell: null,
+        timerInterval: state.timerInterval, // Still running until startTimer() replaces it
+        isNoteMode: state.isNoteMode,
+        isPaused: false
+    };
+    rules = BoardRules.fromJSON(state.rules);
+
+    saveGame();
+
+    showScreen('game-screen');
+    resetBoardZoom();
+    renderNumpad();
+    renderBoard();
+    updateStats();
+    startTimer();
 }
 
-// --- Game Control ---
+function startFromCode() {
+    const input = document.getElementById('puzzle-code-input');
+    const puzzle = decodePuzzleCode(input.value);
+    if (!puzzle) {
+        alert("Invalid puzzle code");
+        return;
+    }
+    input.value = '';
+    startGame(puzzle.level, { seed: puzzle.seed, variant: puzzle.variant, size: puzzle.size });
+}
 
-function initGame() {
-    loadState(); // Check if saved game exists
-    // If no saved game or starting fresh handled by UI
+function selectVariant(variant) {
+    selectedVariant = variant;
+    document.querySelectorAll('#variant-picker .btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.variant === variant);
+    });
 }
 
-function startGame(level) {
-    state.level = level;
-    state.score = 0;
-    state.mistakes = 0;
-    state.timer = 0;
-    state.isGameOver = false;
-    state.isPaused = false;
-    state.history = [];
-    state.notes = Array.from({ length: 9 }, () => Array.from({ length: 9 }, () => []));
+// Only Classic and Diagonal come in other sizes; the rest are disabled meanwhile
+function selectSize(size) {
+    selectedSize = size;
+    document.querySelectorAll('#size-picker .btn').forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.size) === size);
+    });
+    document.querySelectorAll('#variant-picker .btn').forEach(btn => {
+        btn.disabled = size !== 9 && !ANY_SIZE_VARIANTS.includes(btn.dataset.variant);
+    });
+    if (size !== 9 && !ANY_SIZE_VARIANTS.includes(selectedVariant)) selectVariant('classic');
+}
 
-    const generator = new SudokuGenerator();
-    const data = generator.generate(level);
+function showImport() {
+    showModal("Import Puzzle", `
+        <textarea id="import-text" class="form-control font-monospace mb-2" rows="6"
+            placeholder="Paste an 81-character line (16, 36 or 256 for other sizes), a grid or an .sdk file"></textarea>
+        <input type="file" class="form-control form-control-sm mb-2" accept=".txt,.sdk"
+            onchange="loadImportFile(this)">
+        <div id="import-error" class="text-danger small"></div>
+    `, `
+        <button class="btn btn-primary-custom" onclick="importPuzzle()">Play</button>
+        <button class="btn btn-secondary-custom" onclick="closeModal()">Cancel</button>
+    `);
+}
 
-    state.initial = data.initial;
-    state.grid = JSON.parse(JSON.stringify(data.initial));
-    state.solution = data.solution;
+function loadImportFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    file.text()
+        .then(text => {
+            document.getElementById('import-text').value = text;
+        })
+        .catch(err => console.log('Could not read file', err));
+}
 
-    // Clear previous save
-    localStorage.removeItem('sudoku_save');
+function importPuzzle() {
+    const parsed = parsePuzzleText(document.getElementById('import-text').value);
+    const puzzle = parsed.error ? parsed : preparePuzzle(parsed.grid);
+    if (puzzle.error) {
+        document.getElementById('import-error').textContent = puzzle.error;
+        return;
+    }
+    closeModal();
+    // Puzzles beyond our techniques still play, filed under expert
+    startGame(puzzle.rating.tier || 'expert', { puzzle });
+}
 
-    showScreen('game-screen');
-    renderBoard();
-    updateStats();
-    startTimer();
+function showExport(format = 'line') {
+    // The text formats only describe classic rules
+    if (state.variant && state.variant !== 'classic') {
+        alert("Only classic puzzles can be exported");
+        return;
+    }
+    // Digits revealed by hints aren't part of the puzzle
+    const text = formatPuzzleText(puzzleGivens(state), format, state.level);
+    const tabs = Object.keys(EXPORT_FORMATS).map(key => `
+        <button class="btn btn-sm ${key === format ? 'btn-primary' : 'btn-outline-primary'}"
+            onclick="showExport('${key}')">${EXPORT_FORMATS[key].name}</button>
+    `).join('');
+
+    showModal("Export Puzzle", `
+        <div class="btn-group mb-2">${tabs}</div>
+        <textarea id="export-text" class="form-control font-monospace" rows="${format === 'line' ? 3 : 11}"
+            readonly>${text}</textarea>
+    `, `
+        <button class="btn btn-primary-custom" onclick="copyExport('${format}')">Copy</button>
+        <button class="btn btn-outline-primary" onclick="downloadExport('${format}')">Download</button>
+        <button class="btn btn-secondary-custom" onclick="resumeFromPause()">Back to Game</button>
+    `);
 }
 
-function resumeGame() {
-    const saved = localStorage.getItem('sudoku_save');
-    if (saved) {
-        state = JSON.parse(saved);
-        // Date objects or sets need re-parsing if used, but we use simple arrays
-        // Re-start timer
+function copyExport(format) {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(document.getElementById('export-text').value)
+        .then(() => showToast('ri-clipboard-line', 'Puzzle copied', `${EXPORT_FORMATS[format].name} format`))
+        .catch(err => console.log('Copy failed', err));
+}
 
-        // Ensure notes are valid arrays
-        if (!state.notes) state.notes = Array.from({ length: 9 }, () => Array.from({ length: 9 }, () => []));
+function downloadExport(format) {
+    const blob = new Blob([document.getElementById('export-text').value], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `sudoku-${state.puzzleCode || state.level}.${EXPORT_FORMATS[format].extension}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-        showScreen('game-screen');
-        renderBoard();
-        updateStats();
-        startTimer();
+// Resumes the saved game with the given id, by default the last one played
+function resumeGame(id = savedGames.length ? savedGames[0].id : null) {
+    const saved = savedGames.find(save => save.id === id);
+    if (!saved) return;
+    const loaded = readSave(saved.state);
+    if (loaded.error) {
+        quarantineSave(saved, loaded.error);
+        alert("This saved game is damaged and can't be resumed. It has been set aside.");
+        checkResumeAvailable();
+        return;
     }
+
+    // Transient fields start fresh; the old timer id means nothing after a reload
+    const { version, ...fields } = loaded.state;
+    stopTimer();
+    state = {
+        ...fields,
+        selectedCell: null,
+        timerInterval: null,
+        hint: null,
+        showWrong: false,
+        isPaused: false,
+        isGameOver: false
+    };
+    rules = BoardRules.fromJSON(state.rules);
+
+    showScreen('game-screen');
+    resetBoardZoom();
+    renderNumpad();
+    renderBoard();
+    updateStats();
+    startTimer();
 }
 
 function saveGame() {
-    if (!state.isGameOver) {
-        localStorage.setItem('sudoku_save', JSON.stringify(state));
-    }
+    if (state.isGameOver) return Promise.resolve();
+    const record = { id: state.gameId, updatedAt: Date.now(), state: serializeGame(state) };
+    savedGames = [record, ...savedGames.filter(save => save.id !== record.id)];
+    return saveStoreRequest('readwrite', store => store.put(record))
+        .catch(err => console.log('Could not save game', err));
 }
 
 function showScreen(screenId) {
@@ -190,10 +271,10 @@ function showScreen(screenId) {
 }
 
 function checkResumeAvailable() {
-    const saved = localStorage.getItem('sudoku_save');
     const resumeBtn = document.getElementById('resume-btn-container');
-    if (saved) {
+    if (savedGames.length > 0) {
         resumeBtn.style.display = 'block';
+        document.getElementById('saved-count').textContent = savedGames.length;
     } else {
         resumeBtn.style.display = 'none';
     }
@@ -220,46 +301,325 @@ function formatTime(seconds) {
     return `${m}:${s}`;
 }
 
+// For text players typed in, such as their names
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+// --- Puzzle Generation ---
+// Puzzles are generated in engine/worker.js so the page stays responsive.
+// Where module workers aren't supported they're generated on the page.
+
+let generationWorker = null;
+let workerUnavailable = false;
+let generationJobs = new Map(); // id -> {resolve, reject}
+let lastGenerationId = 0;
+let isGenerating = false;
+
+/**
+ * Generates a puzzle for `request` ({level, seed, variant, size}).
+ * Resolves to {puzzle, seed}, seed being the one actually used.
+ */
+function generatePuzzle(request) {
+    return generateInWorker(request).catch(err => {
+        if (err.cancelled) throw err;
+        console.log('Generating on the page instead', err);
+        return generateOnPage(request);
+    });
+}
+
+function generateInWorker(request) {
+    if (workerUnavailable || typeof Worker === 'undefined') {
+        return Promise.reject(new Error('Web Workers are not available'));
+    }
+    if (!generationWorker) {
+        generationWorker = new Worker('engine/worker.js', { type: 'module' });
+        generationWorker.onmessage = (event) => {
+            const job = generationJobs.get(event.data.id);
+            if (!job) return;
+            generationJobs.delete(event.data.id);
+            if (event.data.error) job.reject(new Error(event.data.error));
+            else job.resolve({ puzzle: event.data.puzzle, seed: event.data.seed });
+        };
+        // Fires when the worker script can't load, e.g. no module worker support
+        generationWorker.onerror = (event) => {
+            event.preventDefault();
+            workerUnavailable = true;
+            generationWorker.terminate();
+            generationWorker = null;
+            generationJobs.forEach(job => job.reject(new Error(event.message || 'Generation worker failed')));
+            generationJobs.clear();
+        };
+    }
+    return new Promise((resolve, reject) => {
+        const id = ++lastGenerationId;
+        generationJobs.set(id, { resolve, reject });
+        generationWorker.postMessage({ id, ...request });
+    });
+}
+
+// Waits a frame first so the spinner is drawn before the page is blocked
+function generateOnPage({ level, seed, variant, size }) {
+    return new Promise((resolve, reject) => {
+        requestAnimationFrame(() => setTimeout(() => {
+            try {
+                const generator = new SudokuGenerator(seed, variant, size);
+                resolve({ puzzle: generator.generate(level), seed: generator.seed });
+            } catch (err) {
+                reject(err);
+            }
+        }, 0));
+    });
+}
+
+// Large boards can take a while, so the spinner can be cancelled. That
+// stops the worker, and the next puzzle starts a fresh one.
+function cancelGeneration() {
+    if (!generationWorker) return;
+    generationWorker.terminate();
+    generationWorker = null;
+    generationJobs.forEach(job => job.reject(Object.assign(new Error('Generation cancelled'), { cancelled: true })));
+    generationJobs.clear();
+}
+
+function showGenerating(show) {
+    isGenerating = show;
+    const overlay = document.getElementById('generating-overlay');
+    overlay.classList.toggle('show', show);
+    overlay.setAttribute('aria-hidden', !show);
+    if (show) {
+        announce('Generating puzzle');
+        document.getElementById('cancel-generation').focus();
+    }
+}
+
+// --- Saved Games ---
+// Games in progress are kept in IndexedDB, one record per game keyed by its
+// gameId: {id, updatedAt, state}. savedGames mirrors the store, most recent
+// first, so the UI can read it without waiting.
+
+const SAVE_DB = 'sudoku';
+const SAVE_STORE = 'saves';
+const QUARANTINE_STORE = 'quarantine'; // Saves that failed to load, kept for inspection
+const MAX_SAVES = 10;
+// localStorage keys used for saves before IndexedDB
+const LEGACY_SAVE_KEYS = ['sudoku_save', 'sudoku_daily_save'];
+
+let savedGames = [];
+let saveDbPromise = null;
+
+function openSaveDb() {
+    if (!saveDbPromise) {
+        saveDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(SAVE_DB, 3);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SAVE_STORE)) db.createObjectStore(SAVE_STORE, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(QUARANTINE_STORE)) db.createObjectStore(QUARANTINE_STORE, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(REPLAY_STORE)) db.createObjectStore(REPLAY_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return saveDbPromise;
+}
+
+// Runs a single request on a store and resolves with its result
+function saveStoreRequest(mode, makeRequest, storeName = SAVE_STORE) {
+    return openSaveDb().then(db => new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+// Reads every save, upgrading old versions and setting aside the ones that fail validation
+function loadSavedGames() {
+    return migrateLegacySaves()
+        .then(() => saveStoreRequest('readonly', store => store.getAll()))
+        .then(records => {
+            const damaged = [];
+            savedGames = [];
+            records.forEach(record => {
+                const loaded = readSave(record.state);
+                if (loaded.error) {
+                    damaged.push(record);
+                    quarantineSave(record, loaded.error);
+                } else {
+                    // The record id is authoritative; version 0 saves may not have had one
+                    savedGames.push({ ...record, state: { ...loaded.state, gameId: record.id } });
+                }
+            });
+            savedGames.sort((a, b) => b.updatedAt - a.updatedAt);
+            checkResumeAvailable();
+            if (damaged.length > 0) {
+                alert(`${damaged.length} saved game${damaged.length > 1 ? 's were' : ' was'} damaged and could not be loaded. ${damaged.length > 1 ? 'They have' : 'It has'} been set aside.`);
+            }
+        })
+        .catch(err => console.log('Saved games could not be loaded', err));
+}
+
+// Moves games saved in localStorage into the store, removing each key once copied.
+// Keys that aren't even JSON go straight to quarantine.
+function migrateLegacySaves() {
+    return Promise.all(LEGACY_SAVE_KEYS.filter(key => localStorage.getItem(key)).map(key => {
+        const text = localStorage.getItem(key);
+        let saved;
+        try {
+            saved = JSON.parse(text);
+        } catch (err) {
+            saved = null;
+        }
+        const id = (saved && saved.gameId) || `legacy-${key}`;
+        const record = { id, updatedAt: Date.now(), state: saved || text };
+        return saveStoreRequest('readwrite', store => store.put(record))
+            .then(() => localStorage.removeItem(key));
+    }));
+}
+
+// Moves a save out of the saves store so it no longer shows up or breaks loading
+function quarantineSave(record, reason) {
+    savedGames = savedGames.filter(save => save.id !== record.id);
+    console.log(`Saved game ${record.id} quarantined: ${reason}`);
+    saveStoreRequest('readwrite', store => store.put({ id: record.id, quarantinedAt: Date.now(), reason, record }), QUARANTINE_STORE)
+        .then(() => saveStoreRequest('readwrite', store => store.delete(record.id)))
+        .catch(err => console.log('Could not quarantine saved game', err));
+}
+
+function deleteSave(id) {
+    savedGames = savedGames.filter(save => save.id !== id);
+    saveStoreRequest('readwrite', store => store.delete(id))
+        .catch(err => console.log('Could not delete saved game', err));
+}
+
+function describeSave(save) {
+    const s = save.state;
+    const size = s.grid.length;
+    const variant = VARIANTS[s.variant || 'classic'].name;
+    const level = s.level.charAt(0).toUpperCase() + s.level.slice(1);
+    const mode = s.players ? `${PLAYER_MODES[s.players.mode].name} · ` : '';
+    return `${s.daily ? 'Daily · ' : ''}${mode}${variant} ${size}×${size} · ${level}`;
+}
+
+// Miniature of the board: givens dark, the player's digits lighter
+function saveThumbnail(s) {
+    const cells = s.grid.map((row, r) => row.map((val, c) => {
+        if (s.initial[r][c] !== 0) return '<span class="given"></span>';
+        return val !== 0 ? '<span class="filled"></span>' : '<span></span>';
+    }).join('')).join('');
+    return `<div class="save-thumb" style="--board-size: ${s.grid.length}">${cells}</div>`;
+}
+
+function showSavedGames() {
+    const list = document.getElementById('saves-list');
+    if (savedGames.length === 0) {
+        list.innerHTML = '<p class="text-muted text-center">No saved games</p>';
+    } else {
+        list.innerHTML = savedGames.map(save => `
+            <div class="save-card">
+                ${saveThumbnail(save.state)}
+                <div class="flex-grow-1 text-start">
+                    <div class="fw-bold">${describeSave(save)}</div>
+                    <div class="game-info">${formatTime(save.state.timer)} · ${new Date(save.updatedAt).toLocaleString()}</div>
+                </div>
+                <div class="d-flex flex-column gap-1">
+                    <button class="btn btn-sm btn-primary-custom rounded-pill" onclick="resumeGame('${save.id}')">Resume</button>
+                    <button class="btn btn-sm btn-outline-danger rounded-pill" onclick="confirmDeleteSave('${save.id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+    showScreen('saves-screen');
+}
+
+function confirmDeleteSave(id) {
+    if (!confirm("Delete this saved game?")) return;
+    deleteSave(id);
+    showSavedGames();
+}
+
 // --- UI Rendering ---
 
+/**
+ * Builds the board as an ARIA grid: one `row` per board row (laid out with
+ * display: contents) holding a hidden row header and the cells, after a row
+ * of hidden column headers. Only the selected cell is in the tab order.
+ */
 function renderBoard() {
+    const size = rules.size;
     const board = document.getElementById('board');
+    const hadFocus = board.contains(document.activeElement);
     board.innerHTML = '';
+    board.className = `sudoku-board size-${size}`;
+    board.style.setProperty('--board-size', size);
+    board.style.setProperty('--note-cols', rules.boxCols);
+    board.setAttribute('aria-rowcount', size + 1);
+    board.setAttribute('aria-colcount', size + 1);
+
+    const headerRow = document.createElement('div');
+    headerRow.className = 'board-row';
+    headerRow.setAttribute('role', 'row');
+    // Empty corner above the row headers, so column headers line up with the cells
+    headerRow.appendChild(boardHeader('columnheader', ''));
+    for (let c = 0; c < size; c++) {
+        headerRow.appendChild(boardHeader('columnheader', `Column ${c + 1}`));
+    }
+    board.appendChild(headerRow);
 
     // Count current numbers to update numpad
-    const counts = Array(10).fill(0);
+    const counts = Array(size + 1).fill(0);
+
+    for (let r = 0; r < rules.size; r++) {
+        const row = document.createElement('div');
+        row.className = 'board-row';
+        row.setAttribute('role', 'row');
+        row.appendChild(boardHeader('rowheader', `Row ${r + 1}`));
+        board.appendChild(row);
 
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
+        for (let c = 0; c < rules.size; c++) {
             const cell = document.createElement('div');
             cell.className = 'sudoku-cell';
             cell.dataset.r = r;
             cell.dataset.c = c;
+            cell.setAttribute('role', 'gridcell');
+            cell.setAttribute('aria-label', cellLabel(r, c));
+            cell.tabIndex = -1;
 
-            // Grid lines classes
-            if (c === 2 || c === 5) cell.classList.add('box-right');
-            if (r === 2 || r === 5) cell.classList.add('box-bottom');
+            // Grid lines classes: thick wherever the region changes
+            if (c < size - 1 && rules.regions[r][c] !== rules.regions[r][c + 1]) cell.classList.add('box-right');
+            if (r < size - 1 && rules.regions[r][c] !== rules.regions[r + 1][c]) cell.classList.add('box-bottom');
+            if (c === size - 1) cell.classList.add('col-last');
+            if (rules.isExtraRegionCell(r, c)) cell.classList.add('extra-region');
+            renderCage(cell, r, c);
 
             // Value or Notes
             const val = state.grid[r][c];
             if (val !== 0) {
-                cell.textContent = val;
+                cell.textContent = formatDigit(val);
                 counts[val]++;
                 if (state.initial[r][c] !== 0) {
                     cell.classList.add('fixed');
                 } else {
                     cell.classList.add('editable');
+                    if (isTurnGame() && state.players.owners[r][c] !== -1) cell.classList.add(`player-${state.players.owners[r][c]}`);
                 }
             } else {
-                // Render Notes
-                const notes = state.notes[r][c];
-                if (notes && notes.length > 0) {
+                // Render Notes, plus candidates the current hint eliminates
+                const notes = state.notes[r][c] || [];
+                const eliminated = hintEliminationsAt(state, r, c);
+                if (notes.length > 0 || eliminated.length > 0) {
                     const noteContainer = document.createElement('div');
                     noteContainer.className = 'cell-notes';
-                    for (let i = 1; i <= 9; i++) {
+                    for (let i = 1; i <= size; i++) {
                         const noteEl = document.createElement('div');
                         noteEl.className = 'note-num';
-                        if (notes.includes(i)) noteEl.textContent = i;
+                        if (notes.includes(i) || eliminated.includes(i)) noteEl.textContent = formatDigit(i);
+                        if (eliminated.includes(i)) noteEl.classList.add('eliminated');
                         noteContainer.appendChild(noteEl);
                     }
                     cell.appendChild(noteContainer);
@@ -267,38 +627,129 @@ function renderBoard() {
             }
 
             cell.onclick = () => selectCell(r, c);
-            board.appendChild(cell);
+            row.appendChild(cell);
         }
     }
     highlightBoard();
+    if (hadFocus) focusSelectedCell();
     updateNumpad(counts);
+    updateHistoryButtons();
+    renderHintPanel();
+    document.getElementById('btn-auto-notes').classList.toggle('active', !!state.autoNotes);
+}
+
+// Headers exist for screen readers only, so they take no space in the grid
+function boardHeader(role, text) {
+    const header = document.createElement('div');
+    header.className = 'visually-hidden';
+    header.setAttribute('role', role);
+    header.textContent = text;
+    return header;
+}
+
+// What a screen reader says for a cell: position, value and who placed it, or its notes
+function cellLabel(r, c) {
+    const parts = [`Row ${r + 1}, column ${c + 1}`];
+    const val = state.grid[r][c];
+    if (val !== 0) {
+        parts.push(`${formatDigit(val)}, ${state.initial[r][c] !== 0 ? 'given' : 'entered'}`);
+    } else {
+        const notes = state.notes[r][c] || [];
+        parts.push(notes.length ? `empty, notes ${listText([...notes].sort((a, b) => a - b).map(formatDigit))}` : 'empty');
+    }
+    const cageId = rules.cageIds[r][c];
+    if (cageId !== -1) parts.push(`cage of ${rules.cages[cageId].sum}`);
+    return parts.join(', ');
 }
 
+// Killer cages: dashed outline on the cage's outer edges, total in its first cell
+function renderCage(cell, r, c, boardRules = rules) {
+    const cageId = boardRules.cageIds[r][c];
+    if (cageId === -1) return;
+    const inCage = (nr, nc) => nr >= 0 && nr < boardRules.size && nc >= 0 && nc < boardRules.size && boardRules.cageIds[nr][nc] === cageId;
+
+    const outline = document.createElement('div');
+    outline.className = 'cage-outline';
+    if (!inCage(r - 1, c)) outline.classList.add('cage-top');
+    if (!inCage(r + 1, c)) outline.classList.add('cage-bottom');
+    if (!inCage(r, c - 1)) outline.classList.add('cage-left');
+    if (!inCage(r, c + 1)) outline.classList.add('cage-right');
+    cell.appendChild(outline);
+
+    const cage = boardRules.cages[cageId];
+    if (cage.cells[0].r === r && cage.cells[0].c === c) {
+        const sum = document.createElement('span');
+        sum.className = 'cage-sum';
+        sum.textContent = cage.sum;
+        cell.appendChild(sum);
+    }
+}
+
+// One button per digit; 16x16 boards split them over two rows
+function renderNumpad() {
+    const numpad = document.getElementById('numpad');
+    numpad.innerHTML = '';
+    numpad.style.setProperty('--numpad-cols', rules.size > 9 ? rules.size / 2 : rules.size);
+    rules.digits.forEach(num => {
+        const btn = document.createElement('button');
+        btn.className = 'numpad-btn';
+        btn.textContent = formatDigit(num);
+        btn.setAttribute('aria-label', `Place ${formatDigit(num)}`);
+        btn.onclick = () => inputNumber(num);
+        numpad.appendChild(btn);
+    });
+    if (padDigit > rules.size) padDigit = 1;
+    highlightPadDigit();
+    // Digits already complete in a new or resumed game aren't announced
+    completedDigits = null;
+}
+
+let completedDigits = null;
+
 function updateNumpad(counts) {
     const btns = document.querySelectorAll('.numpad-btn');
+    const completed = new Set();
     btns.forEach((btn, index) => {
         const num = index + 1;
-        if (counts[num] >= 9) {
+        if (counts[num] >= rules.size) {
             btn.classList.add('completed');
+            completed.add(num);
         } else {
             btn.classList.remove('completed');
         }
     });
+    if (completedDigits && !state.isGameOver) {
+        const newlyCompleted = [...completed].filter(num => !completedDigits.has(num));
+        if (newlyCompleted.length) announce(`All ${listText(newlyCompleted.map(formatDigit))}s placed`);
+        // Only correct digits count, and each only once, so undo and redo can't farm them
+        const solved = [...completed].filter(num => !state.countedDigits.includes(num) && isDigitSolved(state, num));
+        if (!state.players && solved.length) {
+            state.countedDigits = [...state.countedDigits, ...solved];
+            solved.forEach(() => trackAchievements({ type: 'digit-complete' }));
+        }
+    }
+    completedDigits = completed;
 }
 
 
 function highlightBoard() {
-    // Clear highlights
-    document.querySelectorAll('.sudoku-cell').forEach(c => {
-        c.classList.remove('selected', 'related', 'same-num', 'error');
+    // Clear highlights; the selected cell, or the first one, is the tab stop
+    const tabStop = state.selectedCell || { r: 0, c: 0 };
+    document.querySelectorAll('#board .sudoku-cell').forEach(c => {
+        c.classList.remove('selected', 'related', 'same-num', 'error', 'conflict', 'wrong', 'hint-region', 'hint-pattern', 'hint-target');
+        c.removeAttribute('aria-selected');
+        c.tabIndex = Number(c.dataset.r) === tabStop.r && Number(c.dataset.c) === tabStop.c ? 0 : -1;
     });
 
+    highlightHint();
+    highlightErrors();
+
     if (!state.selectedCell) return;
     const { r, c } = state.selectedCell;
     const val = state.grid[r][c];
 
     // Select grid cells
-    const cells = document.querySelectorAll('.sudoku-cell');
+    const cells = document.querySelectorAll('#board .sudoku-cell');
 
     cells.forEach(cell => {
         const tr = parseInt(cell.dataset.r);
@@ -308,115 +759,167 @@ function highlightBoard() {
         // Selected
         if (tr === r && tc === c) {
             cell.classList.add('selected');
+            cell.setAttribute('aria-selected', 'true');
         }
-        // Related (Row, Col, Box)
-        else if (tr === r || tc === c || (Math.floor(tr / 3) === Math.floor(r / 3) && Math.floor(tc / 3) === Math.floor(c / 3))) {
+        // Related: every cell sharing a row, column or region under the variant's rules
+        else if (settings.highlightRegion && rules.isPeer({ r, c }, { r: tr, c: tc })) {
             cell.classList.add('related');
         }
 
         // Same Number
-        if (val !== 0 && tval === val) {
+        if (settings.highlightSameNumber && val !== 0 && tval === val) {
             cell.classList.add('same-num');
         }
     });
 }
 
+// Clashes with peers when conflicts are shown, and the wrong digits after a failed full-board check
+function highlightErrors() {
+    const showConflicts = settings.highlightConflicts || settings.errorChecking === 'conflicts';
+    if (!showConflicts && !state.showWrong) return;
+    const cells = document.querySelectorAll('#board .sudoku-cell');
+    for (let r = 0; r < rules.size; r++) {
+        for (let c = 0; c < rules.size; c++) {
+            const val = state.grid[r][c];
+            if (val === 0 || state.initial[r][c] !== 0) continue;
+            const cell = cells[r * rules.size + c];
+            if (showConflicts && !rules.isValid(state.grid, r, c, val)) cell.classList.add('conflict');
+            if (state.showWrong && val !== state.solution[r][c]) cell.classList.add('wrong');
+        }
+    }
+}
+
+function highlightHint() {
+    const hint = state.hint;
+    if (!hint || hint.tier === 0) return;
+
+    const cells = document.querySelectorAll('#board .sudoku-cell');
+    const mark = (list, className) => list.forEach(({ r, c }) => cells[r * rules.size + c].classList.add(className));
+    mark(hint.unit.cells, 'hint-region');
+    if (hint.tier >= 2) mark(hint.pattern, 'hint-pattern');
+    if (hint.tier >= 3) mark([hint.target], 'hint-target');
+}
+
 function selectCell(r, c) {
     if (state.isGameOver) return;
+    const board = document.getElementById('board');
+    const hadFocus = board.contains(document.activeElement);
     state.selectedCell = { r, c };
     highlightBoard();
+    if (hadFocus) focusSelectedCell();
+}
+
+function focusSelectedCell() {
+    const cell = document.querySelector('#board .sudoku-cell[tabindex="0"]');
+    if (cell) cell.focus();
+}
+
+// Reads a message out through the live regions; mistakes interrupt, the rest wait
+function announce(message, assertive = false) {
+    const region = document.getElementById(assertive ? 'announcer-alert' : 'announcer');
+    region.textContent = '';
+    // A fresh text node makes repeated messages announce again
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
 }
 
 // --- Interaction ---
+// Moves go through the engine (engine/game.js); these handlers pass it the
+// selected cell and settings, then show whatever the move caused.
 
-function inputNumber(num) {
+function inputNumber(num, asNote = state.isNoteMode) {
     if (state.isGameOver || !state.selectedCell) return;
     const { r, c } = state.selectedCell;
 
-    // Cannot edit initial cells
-    if (state.initial[r][c] !== 0) return;
-
-    if (state.isNoteMode) {
-        toggleNoteValue(r, c, num);
-    } else {
-        // Normal Input
-        const prevVal = state.grid[r][c];
-        if (prevVal === num) return; // No change
-
-        // Save history
-        addToHistory({ type: 'input', r, c, val: num, prevVal });
-
-        state.grid[r][c] = num;
-
-        // Validate Move
-        if (num !== 0) {
-            if (num !== state.solution[r][c]) {
-                // Mistake
-                handleMistake(r, c);
-            } else {
-                // Correct
-                checkCompletion();
-                clearNotesForMove(r, c, num);
-            }
-        }
-
+    if (asNote) {
+        toggleNote(state, rules, r, c, num);
         renderBoard();
         saveGame();
+        return;
     }
+    showMoveResult(isTurnGame()
+        ? placeTurnDigit(state, rules, r, c, num, settings)
+        : placeDigit(state, rules, r, c, num, settings));
+}
+
+function erase() {
+    if (state.isGameOver || !state.selectedCell) return;
+    const { r, c } = state.selectedCell;
+    showMoveResult(isTurnGame()
+        ? eraseTurnCell(state, rules, r, c, settings)
+        : eraseCell(state, rules, r, c, settings));
 }
 
-function handleMistake(r, c) {
-    state.mistakes++;
-    document.getElementById('mistake-count').textContent = state.mistakes;
+// Re-renders after a move and reacts to its events; null means nothing changed
+function showMoveResult(events) {
+    if (!events) return;
+    renderBoard();
+    updateStats();
+    saveGame();
+    events.forEach(event => {
+        if (event.type === 'mistake') showMistake(event.r, event.c, event.player);
+        if (event.type === 'wrong') {
+            vibrate(MISTAKE_VIBRATION);
+            announceMistake(`${event.count} ${event.count === 1 ? 'digit is' : 'digits are'} wrong`, event.player);
+        }
+        if (event.type === 'out') announce(`${state.players.names[event.player]} is out`, true);
+        if (event.type === 'turn') announce(`${state.players.names[event.player]}'s turn`);
+        if (event.type === 'owned') announce(`That digit is ${state.players.names[event.player]}'s`);
+        if (event.type === 'won') gameOver(true);
+        if (event.type === 'lost') gameOver(false);
+    });
+}
 
-    // Vibrate / Shake effect (Can add class)
-    const cellIdx = r * 9 + c;
-    const cell = document.querySelectorAll('.sudoku-cell')[cellIdx];
+function showMistake(r, c, player) {
+    vibrate(MISTAKE_VIBRATION);
+    const cellIdx = r * rules.size + c;
+    const cell = document.querySelectorAll('#board .sudoku-cell')[cellIdx];
     cell.classList.add('error');
     setTimeout(() => cell.classList.remove('error'), 500);
-
-    if (state.mistakes >= MAX_MISTAKES) {
-        gameOver(false);
-    } else {
-        // Penalty?
-        state.score = Math.max(0, state.score - 50);
-        updateStats();
-    }
+    announceMistake(`Mistake at row ${r + 1}, column ${c + 1}`, player);
 }
 
-function addToHistory(action) {
-    if (state.history.length > 20) state.history.shift(); // Limit history
-    state.history.push(action);
+// `player` is given in pass-and-play, where each player has their own count
+function announceMistake(message, player) {
+    const limit = settings.mistakeLimit;
+    const count = player === undefined ? state.mistakes : state.players.mistakes[player];
+    const who = player === undefined ? '' : `${state.players.names[player]}: `;
+    announce(`${message}. ${who}${count}${limit ? ` of ${limit}` : ''} mistakes`, true);
 }
 
+// --- Undo / Redo ---
+
+// Taking back a move in pass-and-play would take it from another player
 function undo() {
-    if (state.history.length === 0 || state.isGameOver) return;
-    const action = state.history.pop();
+    if (isTurnGame()) return;
+    showRestoredAction(undoAction(state));
+}
 
-    if (action.type === 'input') {
-        state.grid[action.r][action.c] = action.prevVal;
-    } else if (action.type === 'note') {
-        // Just revert notes not Implemented for simplicity in history tracking perfectly yet
-        // For now let's just assume input undo. 
-        // If we want Note undo, we need to save note state.
-        // Let's keep it simple: History only tracks 'input' for now.
-    }
-    renderBoard();
-    selectCell(action.r, action.c);
+function redo() {
+    if (isTurnGame()) return;
+    showRestoredAction(redoAction(state));
 }
 
-function erase() {
-    if (state.isGameOver || !state.selectedCell) return;
-    const { r, c } = state.selectedCell;
-    if (state.initial[r][c] !== 0) return;
+function showRestoredAction(action) {
+    if (!action) return;
+    renderBoard();
+    updateStats();
+    saveGame();
+    if (action.selected) selectCell(action.selected.r, action.selected.c);
+}
 
-    inputNumber(0); // 0 clears
+function updateHistoryButtons() {
+    document.getElementById('btn-undo').disabled = state.history.length === 0 || isTurnGame();
+    document.getElementById('btn-redo').disabled = state.redoStack.length === 0 || isTurnGame();
+    document.getElementById('btn-hint').disabled = isTurnGame();
 }
 
 function toggleNotes() {
     state.isNoteMode = !state.isNoteMode;
     const btn = document.getElementById('btn-note');
     const ind = document.getElementById('note-indicator');
+    btn.setAttribute('aria-pressed', state.isNoteMode);
     if (state.isNoteMode) {
         btn.classList.add('active');
         ind.style.display = 'inline';
@@ -426,159 +929,130 @@ function toggleNotes() {
     }
 }
 
-function toggleNoteValue(r, c, num) {
-    if (!state.notes[r][c]) state.notes[r][c] = [];
-    const idx = state.notes[r][c].indexOf(num);
-    if (idx > -1) {
-        state.notes[r][c].splice(idx, 1);
-    } else {
-        state.notes[r][c].push(num);
-    }
+// --- Auto Notes ---
+
+function toggleAutoNotes() {
+    if (state.isGameOver) return;
+    setAutoNotes(state, rules, !state.autoNotes);
     renderBoard();
+    saveGame();
 }
 
-function clearNotesForMove(r, c, num) {
-    // Basic auto-clear: Clear this number from notes in same Row, Col, Box
-    // 1. Clear notes in this cell (it's filled now)
-    state.notes[r][c] = [];
-
-    // 2. Remove 'num' from notes in related cells
-    // Row
-    for (let i = 0; i < 9; i++) {
-        removeNote(r, i, num);
-    }
-    // Col
-    for (let i = 0; i < 9; i++) {
-        removeNote(i, c, num);
-    }
-    // Box
-    const startRow = Math.floor(r / 3) * 3;
-    const startCol = Math.floor(c / 3) * 3;
-    for (let i = 0; i < 3; i++) {
-        for (let j = 0; j < 3; j++) {
-            removeNote(startRow + i, startCol + j, num);
-        }
-    }
+function removeImpossibleNotes() {
+    if (state.isGameOver) return;
+    cleanNotes(state, rules);
+    renderBoard();
+    saveGame();
 }
 
-function removeNote(r, c, num) {
-    if (state.notes[r][c]) {
-        const idx = state.notes[r][c].indexOf(num);
-        if (idx > -1) state.notes[r][c].splice(idx, 1);
-    }
-}
+// --- Hints ---
 
+// Reveals the next tier of the current hint, starting a new one if needed
 function useHint() {
-    if (state.isGameOver) return;
-
-    if (state.score < HINT_COST) {
-        alert("Not enough points! Need " + HINT_COST);
+    if (isTurnGame()) return; // The hint would go to one player's score
+    const result = revealHint(state, rules, settings);
+    if (!result) return;
+    if (result.cost) {
+        alert("Not enough points! Need " + result.cost);
         return;
     }
+    showMoveResult(result.events);
+    announce(hintText(result.hint));
+}
 
-    // Check if cell is selected and empty
-    if (!state.selectedCell) {
-        // Find a random empty cell
-        // Or just alert user to select one
-        alert("Select a cell first");
-        return;
+function dismissHint() {
+    state.hint = null;
+    renderBoard();
+}
+
+function hintText(hint) {
+    const target = cellName(hint.target.r, hint.target.c);
+    if (hint.tier === 1) {
+        return hint.kind === 'mistake' ? `There is a mistake in ${unitName(hint.unit)}` : `Look at ${unitName(hint.unit)}`;
     }
+    if (hint.tier === 2) {
+        return hint.kind === 'mistake' ? `Check ${target}` : `Try ${listText(hint.techniques)} around ${target}`;
+    }
+    return hint.description;
+}
 
-    const { r, c } = state.selectedCell;
-    if (state.grid[r][c] !== 0) {
-        alert("Cell already filled");
+function renderHintPanel() {
+    const panel = document.getElementById('hint-panel');
+    const hint = state.hint;
+    if (!hint || hint.tier === 0) {
+        panel.style.display = 'none';
         return;
     }
 
-    // Apply Hint
-    state.score -= HINT_COST;
-    state.grid[r][c] = state.solution[r][c];
-    state.initial[r][c] = state.solution[r][c]; // Treat hint as fixed? Or just filled correct.
-    // If we treat as filled correct, user can't erase it? Let's make it fixed to prevent accidental clear
-
-    renderBoard();
-    updateStats();
-    checkCompletion();
+    const next = HINT_TIERS[hint.tier];
+    panel.innerHTML = `
+        <div class="hint-text"><strong>${HINT_TIERS[hint.tier - 1].name}:</strong> ${hintText(hint)}</div>
+        <div class="d-flex gap-1 align-items-start">
+            ${next ? `<button class="btn btn-sm btn-outline-primary rounded-pill text-nowrap" onclick="useHint()">${next.name} (${next.cost})</button>` : ''}
+            <button class="btn btn-sm btn-light rounded-circle" onclick="dismissHint()" aria-label="Dismiss hint"><i class="ri-close-line"></i></button>
+        </div>
+    `;
+    panel.style.display = 'flex';
 }
 
 function updateStats() {
-    document.getElementById('score').textContent = state.score;
-    document.getElementById('mistake-count').textContent = state.mistakes;
-    document.getElementById('level-display').textContent = state.level.toUpperCase();
-}
-
-function checkCompletion() {
-    // Check if full board matches solution
-    // Actually we validate on input, so if no zeros left, we win?
-    // Generator solution is one unique solution usually.
-
-    let isFull = true;
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
-            if (state.grid[r][c] === 0) {
-                isFull = false;
-                break;
-            }
-        }
-    }
-
-    if (isFull) {
-        // Double check correctness just in case
-        let isCorrect = true;
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
-                if (state.grid[r][c] !== state.solution[r][c]) {
-                    isCorrect = false;
-                    break;
-                }
-            }
-        }
-        if (isCorrect) gameOver(true);
-    }
-
-    // Also give points for correct move?
-    state.score += 10;
-    updateStats();
+    // Pass-and-play shows the numbers of the player whose turn it is
+    const player = isTurnGame() ? state.players.current : null;
+    document.getElementById('score').textContent = player === null ? state.score : state.players.scores[player];
+    document.getElementById('mistake-count').textContent = player === null ? state.mistakes : state.players.mistakes[player];
+    document.getElementById('mistake-limit').textContent = settings.mistakeLimit ? '/' + settings.mistakeLimit : '';
+    const sizeName = rules.size !== 9 ? `${rules.size}×${rules.size} · ` : '';
+    const variantName = state.variant && state.variant !== 'classic' ? VARIANTS[state.variant].name + ' · ' : '';
+    const dailyName = state.daily ? 'Daily · ' : '';
+    document.getElementById('level-display').textContent = (dailyName + sizeName + variantName + state.level).toUpperCase();
+
+    const ratingEl = document.getElementById('rating-display');
+    const technique = state.rating && state.rating.technique;
+    ratingEl.textContent = technique || '';
+    ratingEl.style.display = technique ? 'inline-block' : 'none';
+
+    const codeEl = document.getElementById('puzzle-code');
+    codeEl.textContent = state.puzzleCode ? '#' + state.puzzleCode : '';
+    renderPlayers();
 }
 
 function gameOver(isWin) {
     state.isGameOver = true;
     stopTimer();
-    localStorage.removeItem('sudoku_save');
-
-    const modal = document.getElementById('custom-modal');
-    const title = document.getElementById('modal-title');
-    const body = document.getElementById('modal-body');
-
-    modal.classList.add('show');
-    if (isWin) {
-        title.textContent = "Victory!";
-        title.className = "mb-3 text-success";
-        saveHighScore(state.score);
-    } else {
-        title.textContent = "Game Over";
-        title.className = "mb-3 text-danger";
+    deleteSave(state.gameId);
+    if (state.players) {
+        multiplayerGameOver(isWin);
+        return;
     }
 
-    body.innerHTML = `
+    if (isWin) saveHighScore(state.score);
+    if (isWin && state.daily) recordDailyWin();
+    recordGame(isWin ? 'won' : 'lost');
+    storeReplay(createReplay(state, isWin ? 'won' : 'lost'));
+    announce(isWin ? `Puzzle solved. Score ${state.score}` : 'Game over', true);
+    const earned = isWin ? trackAchievements({ type: 'won', result: winResult() }) : 0;
+
+    showModal(isWin ? "Victory!" : "Game Over", `
         <p class="fs-4">Score: ${state.score}</p>
         <p class="text-muted">Time: ${formatTime(state.timer)}</p>
-    `;
+        ${scoreBreakdownHtml(state.scoring)}
+        ${earned ? `<p class="game-info">+${earned} XP · Level ${playerLevel(loadAchievements().xp).level}</p>` : ''}
+    `, `
+        <button class="btn btn-secondary-custom" onclick="watchReplay('${state.gameId}')">Watch Replay</button>
+        ${DEFAULT_MODAL_FOOTER}
+    `, isWin ? "mb-3 text-success" : "mb-3 text-danger");
 }
 
 function pauseGame() {
     if (state.isGameOver) return;
     state.isPaused = true;
 
-    const modal = document.getElementById('custom-modal');
-    document.getElementById('modal-title').textContent = "Paused";
-    document.getElementById('modal-title').className = "mb-3";
-
-    document.getElementById('modal-body').innerHTML = `
+    showModal("Paused", `
         <button class="btn btn-success rounded-pill px-4" onclick="resumeFromPause()">Resume</button>
-    `;
-
-    modal.classList.add('show');
+        <div class="mt-3">
+            <button class="btn btn-link text-decoration-none" onclick="showExport()">Export Puzzle</button>
+        </div>
+    `);
 }
 
 function resumeFromPause() {
@@ -587,25 +1061,1644 @@ function resumeFromPause() {
 }
 
 function showHome() {
+    // Leaving a game half-way counts as abandoning it until it is resumed
+    if (document.getElementById('game-screen').classList.contains('active') && !state.isGameOver) {
+        saveGame();
+        recordGame('abandoned');
+    }
     stopTimer();
     showScreen('home-screen');
     document.getElementById('custom-modal').classList.remove('show');
 }
 
+function scoreBreakdownHtml(scoring) {
+    const rows = SCORE_PARTS.filter(part => scoring[part.key] > 0).map(part => `
+        <tr><td>${part.name}</td><td class="text-end">${part.sign < 0 ? '−' : '+'}${scoring[part.key]}</td></tr>
+    `).join('');
+    return `
+        <table class="table table-sm score-breakdown">
+            <tbody>${rows}</tbody>
+            <tfoot><tr><th>Total</th><th class="text-end">${scoreTotal(scoring)}</th></tr></tfoot>
+        </table>
+        ${scoring.bestStreak > 1 ? `<p class="game-info">Longest streak: ${scoring.bestStreak}</p>` : ''}
+    `;
+}
 
-// --- High Score System ---
-function saveHighScore(score) {
-    let scores = JSON.parse(localStorage.getItem('sudoku_highscores')) || [];
-    scores.push({
-        score: score,
-        date: new Date().toLocaleDateString(),
-        level: state.level
-    });
+
+// --- Multiplayer ---
+// Pass-and-play and race games for 2 to MAX_PLAYERS players on one device;
+// the rules are in engine/players.js. Players are told apart by colour.
+
+function isTurnGame() {
+    return !!state.players && state.players.mode === 'turns';
+}
+
+function showMultiplayer() {
+    const nameInputs = Array.from({ length: MAX_PLAYERS }, (_, i) => `
+        <input id="player-name-${i}" type="text" class="form-control mb-2 player-name player-${i}" maxlength="20"
+            placeholder="${i < MIN_PLAYERS ? `Player ${i + 1}` : `Player ${i + 1} (optional)`}" aria-label="Player ${i + 1} name">
+    `).join('');
+    showModal("Pass & Play", `
+        <div class="text-start">
+            <label class="form-label" for="multiplayer-mode">Mode</label>
+            <select id="multiplayer-mode" class="form-select mb-3">
+                ${Object.entries(PLAYER_MODES).map(([key, mode]) => `<option value="${key}">${mode.name}: ${mode.description}</option>`).join('')}
+            </select>
+            <label class="form-label" for="multiplayer-level">Difficulty</label>
+            <select id="multiplayer-level" class="form-select mb-3">
+                <option value="easy">Easy</option>
+                <option value="medium" selected>Medium</option>
+                <option value="hard">Hard</option>
+            </select>
+            <label class="form-label">Players</label>
+            ${nameInputs}
+            <p class="game-info mb-0">Uses the board picked on the home screen.</p>
+        </div>
+    `, `
+        <button class="btn btn-primary-custom" onclick="startMultiplayer()">Start</button>
+        <button class="btn btn-secondary-custom" onclick="closeModal()">Cancel</button>
+    `);
+}
+
+// The first MIN_PLAYERS always play, named by default; the others only if named
+function startMultiplayer() {
+    const names = [];
+    for (let i = 0; i < MAX_PLAYERS; i++) {
+        const name = document.getElementById(`player-name-${i}`).value.trim();
+        if (name || i < MIN_PLAYERS) names.push(name || `Player ${i + 1}`);
+    }
+    const mode = document.getElementById('multiplayer-mode').value;
+    const level = document.getElementById('multiplayer-level').value;
+    closeModal();
+    startGame(level, { multiplayer: { mode, names } });
+}
+
+// Turn indicator in the header and a chip per player below it
+function renderPlayers() {
+    const indicator = document.getElementById('turn-indicator');
+    const bar = document.getElementById('players-bar');
+    const players = state.players;
+    indicator.style.display = players ? 'inline-block' : 'none';
+    bar.style.display = players ? 'flex' : 'none';
+    if (!players) return;
+
+    const name = players.names[players.current];
+    indicator.className = `badge rounded-pill ms-1 player-badge player-${players.current}`;
+    indicator.textContent = players.mode === 'turns' ? `${name}'s turn` : `${name} racing`;
+    bar.innerHTML = players.names.map((playerName, i) => {
+        const detail = players.mode === 'turns'
+            ? `${players.scores[i]} · ${players.mistakes[i]}✗${players.out[i] ? ' · out' : ''}`
+            : players.results[i] ? formatTime(players.results[i].time) : i === players.current ? 'playing' : 'waiting';
+        return `<span class="player-chip player-${i}${i === players.current ? ' active' : ''}">${escapeHtml(playerName)} <small>${detail}</small></span>`;
+    }).join('');
+}
+
+function multiplayerGameOver(isWin) {
+    const players = state.players;
+    if (players.mode === 'race') {
+        const player = players.current;
+        const more = finishRaceTurn(state, isWin ? 'won' : 'lost');
+        if (!more) {
+            showRaceResults();
+            return;
+        }
+        const next = escapeHtml(players.names[players.current]);
+        announce(`${players.names[player]} ${isWin ? 'solved it' : 'is out'}. ${players.names[players.current]} is next`, true);
+        showModal(isWin ? "Solved!" : "Out!", `
+            <p class="fs-4">${escapeHtml(players.names[player])}: ${isWin ? formatTime(state.timer) : 'out of mistakes'}</p>
+            <p>Pass the device to <strong>${next}</strong>.</p>
+        `, `<button class="btn btn-primary-custom" onclick="startRaceTurn()">Start ${next}'s Game</button>`,
+        isWin ? "mb-3 text-success" : "mb-3 text-danger");
+        return;
+    }
+
+    const ranking = rankPlayers(players);
+    const tie = ranking.length > 1 && ranking[0].score === ranking[1].score;
+    const title = !isWin ? "Everyone's Out" : tie ? "It's a Tie!" : `${ranking[0].name} Wins!`;
+    announce(isWin ? `Puzzle solved. ${tie ? "It's a tie" : `${ranking[0].name} wins`}` : 'Game over', true);
+    showModal(title, `
+        <p class="text-muted">Time: ${formatTime(state.timer)}</p>
+        ${playersTableHtml(ranking, ['Score', 'Mistakes'], entry => [entry.score, entry.mistakes + (entry.out ? ' (out)' : '')])}
+    `, DEFAULT_MODAL_FOOTER, isWin ? "mb-3 text-success" : "mb-3 text-danger");
+    document.getElementById('modal-title').textContent = title;
+}
+
+// The next racer gets the same puzzle from the start
+function startRaceTurn() {
+    closeModal();
+    const players = state.players;
+    beginGame(state.level, players.puzzle, { seed: state.seed, puzzleCode: state.puzzleCode, players });
+    announce(`${players.names[players.current]}'s game`);
+}
+
+function showRaceResults() {
+    const ranking = rankPlayers(state.players);
+    announce(ranking[0].outcome === 'won' ? `${ranking[0].name} wins the race` : 'Nobody finished the race', true);
+    closeModal();
+    document.getElementById('race-results').innerHTML = `
+        <h2 class="h4 mb-3">${ranking[0].outcome === 'won' ? `${escapeHtml(ranking[0].name)} Wins!` : 'Nobody Finished'}</h2>
+        ${playersTableHtml(ranking, ['Time', 'Mistakes', 'Score'], entry => [
+        entry.outcome === 'won' ? formatTime(entry.time) : 'Out', entry.mistakes, entry.score
+    ])}
+    `;
+    showScreen('race-screen');
+}
+
+function playersTableHtml(ranking, headings, cells) {
+    return `
+        <table class="table table-sm players-table">
+            <thead><tr><th>#</th><th>Player</th>${headings.map(h => `<th class="text-end">${h}</th>`).join('')}</tr></thead>
+            <tbody>${ranking.map((entry, i) => `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td><span class="player-dot player-${entry.player}"></span>${escapeHtml(entry.name)}</td>
+                    ${cells(entry).map(val => `<td class="text-end">${val}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// --- Keyboard & Gamepad ---
+// Keys are named like "Ctrl+Shift+z", "ArrowUp" or "Space"; gamepad buttons
+// as "Pad" plus their standard-mapping index. Digits are not bindable:
+// 1-9 place a digit (Alt+A-G for 10-16 on 16x16) and Shift adds a note.
+
+const CONTROL_ACTIONS = {
+    up: { name: 'Move up', run: () => moveSelection(-1, 0) },
+    down: { name: 'Move down', run: () => moveSelection(1, 0) },
+    left: { name: 'Move left', run: () => moveSelection(0, -1) },
+    right: { name: 'Move right', run: () => moveSelection(0, 1) },
+    erase: { name: 'Erase', run: () => erase() },
+    notes: { name: 'Notes mode', run: () => toggleNotes() },
+    undo: { name: 'Undo', run: () => undo() },
+    redo: { name: 'Redo', run: () => redo() },
+    hint: { name: 'Hint', run: () => useHint() },
+    pause: { name: 'Pause / resume', run: () => togglePause() },
+    prevDigit: { name: 'Previous digit', run: () => changePadDigit(-1) },
+    nextDigit: { name: 'Next digit', run: () => changePadDigit(1) },
+    place: { name: 'Place digit', run: () => inputNumber(padDigit) }
+};
+
+const DEFAULT_KEY_BINDINGS = {
+    up: ['ArrowUp', 'w', 'Pad12'],
+    down: ['ArrowDown', 's', 'Pad13'],
+    left: ['ArrowLeft', 'a', 'Pad14'],
+    right: ['ArrowRight', 'd', 'Pad15'],
+    erase: ['Backspace', 'Delete', 'Pad1'],
+    notes: ['n', 'Pad2'],
+    undo: ['Ctrl+z', 'Pad6'],
+    redo: ['Ctrl+y', 'Ctrl+Shift+z', 'Pad7'],
+    hint: ['h', 'Pad3'],
+    pause: ['Space', 'Pad9'],
+    prevDigit: ['Pad4'],
+    nextDigit: ['Pad5'],
+    place: ['Pad0']
+};
+
+const STICK_THRESHOLD = 0.5;
+// Left stick directions are reported as the d-pad buttons
+const STICK_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+
+// Digit a gamepad places, shown on the numpad
+let padDigit = 1;
+// Action waiting for a new key or button on the settings screen, if any
+let capturingAction = null;
+let gamepadPolling = false;
+let pressedPadButtons = new Set();
+
+function keyName(e) {
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.key === ' ') parts.push('Space');
+    else parts.push(e.key.length === 1 ? e.key.toLowerCase() : e.key);
+    return parts.join('+');
+}
+
+function actionFor(binding) {
+    return Object.keys(settings.keyBindings).find(action => settings.keyBindings[action].includes(binding));
+}
+
+function isModalOpen() {
+    return document.getElementById('custom-modal').classList.contains('show');
+}
+
+function handleKeyDown(e) {
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+    if (capturingAction) {
+        e.preventDefault();
+        if (e.key === 'Escape') stopCapture();
+        else bindControl(capturingAction, keyName(e));
+        return;
+    }
+    if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+    if (!document.getElementById('game-screen').classList.contains('active')) return;
+
+    const action = actionFor(keyName(e));
+    // While a dialog is open only resuming from pause gets through
+    if (isModalOpen() && !(state.isPaused && action === 'pause')) return;
+
+    const num = digitFromKey(e);
+    if (num) {
+        e.preventDefault();
+        if (e.shiftKey) addNoteFromKey(num);
+        else inputNumber(num);
+        return;
+    }
+    if (action) {
+        e.preventDefault();
+        CONTROL_ACTIONS[action].run();
+    }
+}
+
+// The digit a key enters, or 0; digits past the board's size don't count
+function digitFromKey(e) {
+    if (e.ctrlKey || e.metaKey || !rules) return 0;
+    const digit = /^(?:Digit|Numpad)([1-9])$/.exec(e.code);
+    const letter = /^Key([A-G])$/.exec(e.code);
+    let num = 0;
+    if (digit && !e.altKey) num = Number(digit[1]);
+    else if (letter && e.altKey) num = parseDigit(letter[1]);
+    return num <= rules.size ? num : 0;
+}
+
+// Shift+digit writes a note even outside notes mode
+function addNoteFromKey(num) {
+    if (state.isGameOver || !state.selectedCell) return;
+    const { r, c } = state.selectedCell;
+    if (state.initial[r][c] !== 0 || state.grid[r][c] !== 0) return;
+    toggleNote(state, rules, r, c, num);
+    renderBoard();
+    saveGame();
+}
+
+// Moves the selection, wrapping around the edges; starts in the top-left corner
+function moveSelection(dr, dc) {
+    if (state.isGameOver) return;
+    if (!state.selectedCell) {
+        selectCell(0, 0);
+        return;
+    }
+    const size = rules.size;
+    const { r, c } = state.selectedCell;
+    selectCell((r + dr + size) % size, (c + dc + size) % size);
+}
+
+function togglePause() {
+    if (state.isPaused) resumeFromPause();
+    else pauseGame();
+}
+
+function changePadDigit(delta) {
+    padDigit = ((padDigit - 1 + delta + rules.size) % rules.size) + 1;
+    highlightPadDigit();
+}
+
+function highlightPadDigit() {
+    document.querySelectorAll('.numpad-btn').forEach((btn, index) => {
+        btn.classList.toggle('pad-digit', gamepadPolling && index + 1 === padDigit);
+    });
+}
+
+function startGamepadPolling() {
+    if (gamepadPolling) return;
+    gamepadPolling = true;
+    highlightPadDigit();
+    requestAnimationFrame(pollGamepads);
+}
+
+// Fires each binding once per press; stops when the last gamepad is gone
+function pollGamepads() {
+    const pads = [...navigator.getGamepads()].filter(Boolean);
+    if (pads.length === 0) {
+        gamepadPolling = false;
+        pressedPadButtons = new Set();
+        highlightPadDigit();
+        return;
+    }
+
+    const pressed = new Set();
+    pads.forEach(pad => {
+        pad.buttons.forEach((button, i) => {
+            if (button.pressed) pressed.add(i);
+        });
+        const [x = 0, y = 0] = pad.axes;
+        if (y < -STICK_THRESHOLD) pressed.add(STICK_BUTTONS.up);
+        if (y > STICK_THRESHOLD) pressed.add(STICK_BUTTONS.down);
+        if (x < -STICK_THRESHOLD) pressed.add(STICK_BUTTONS.left);
+        if (x > STICK_THRESHOLD) pressed.add(STICK_BUTTONS.right);
+    });
+    pressed.forEach(i => {
+        if (!pressedPadButtons.has(i)) handlePadButton(i);
+    });
+    pressedPadButtons = pressed;
+    requestAnimationFrame(pollGamepads);
+}
+
+function handlePadButton(index) {
+    const binding = 'Pad' + index;
+    if (capturingAction) {
+        bindControl(capturingAction, binding);
+        return;
+    }
+    if (!document.getElementById('game-screen').classList.contains('active')) return;
+    const action = actionFor(binding);
+    if (!action || (isModalOpen() && !(state.isPaused && action === 'pause'))) return;
+    CONTROL_ACTIONS[action].run();
+}
+
+document.addEventListener('keydown', handleKeyDown);
+window.addEventListener('gamepadconnected', startGamepadPolling);
+
+// --- Touch Gestures ---
+// On touch screens: long-press a cell for a ring of digits, drag across
+// cells to note one digit in all of them, double-tap to erase, and pinch
+// to zoom the board (two fingers also pan it). Mouse input keeps to clicks.
+
+const LONG_PRESS_MS = 450;
+const DOUBLE_TAP_MS = 300;
+const TAP_SLOP = 10; // Pixels a finger may drift before a press becomes a drag
+const MAX_ZOOM = 3;
+const MISTAKE_VIBRATION = [60, 40, 60]; // ms on, off, on
+
+let touchPointers = new Map(); // pointerId -> {x, y}
+let gesture = null;            // {type: 'press' | 'swipe', cells, x, y} or {type: 'pinch', dist, mid, zoom}
+let longPressTimer = null;
+let lastTap = null;            // {r, c, time}
+let suppressClick = false;     // Swallows the click a browser sends after a gesture
+let boardZoom = { scale: 1, x: 0, y: 0 };
+let radialCells = null;        // Cells the open digit ring applies to
+let radialNotes = false;
+
+// Haptic buzz, where the device and the setting allow it
+function vibrate(pattern) {
+    if (settings.vibration && navigator.vibrate) navigator.vibrate(pattern);
+}
+
+function cellAt(x, y) {
+    const el = document.elementFromPoint(x, y);
+    const cell = el && el.closest('#board .sudoku-cell');
+    return cell ? { r: Number(cell.dataset.r), c: Number(cell.dataset.c) } : null;
+}
+
+function boardCell(r, c) {
+    return document.querySelector(`#board .sudoku-cell[data-r="${r}"][data-c="${c}"]`);
+}
+
+function handleBoardPointerDown(e) {
+    if (e.pointerType === 'mouse') return;
+    suppressClick = false;
+    touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touchPointers.size === 2) {
+        startPinch();
+        return;
+    }
+    const cell = cellAt(e.clientX, e.clientY);
+    if (touchPointers.size > 2 || !cell || state.isGameOver || state.isPaused) return;
+
+    gesture = { type: 'press', cells: [cell], x: e.clientX, y: e.clientY };
+    longPressTimer = setTimeout(() => {
+        gesture = null;
+        suppressClick = true;
+        selectCell(cell.r, cell.c);
+        openRadialPicker([cell], e.clientX, e.clientY, state.isNoteMode);
+    }, LONG_PRESS_MS);
+}
+
+function handleBoardPointerMove(e) {
+    if (!touchPointers.has(e.pointerId)) return;
+    touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!gesture) return;
+    if (gesture.type === 'pinch') {
+        if (touchPointers.size === 2) updatePinch();
+        return;
+    }
+    if (Math.hypot(e.clientX - gesture.x, e.clientY - gesture.y) > TAP_SLOP) clearTimeout(longPressTimer);
+
+    // Entering another cell turns the press into a multi-cell selection
+    const cell = cellAt(e.clientX, e.clientY);
+    if (!cell || gesture.cells.some(other => other.r === cell.r && other.c === cell.c)) return;
+    clearTimeout(longPressTimer);
+    if (gesture.type === 'press') boardCell(gesture.cells[0].r, gesture.cells[0].c).classList.add('swipe-selected');
+    gesture.type = 'swipe';
+    gesture.cells.push(cell);
+    boardCell(cell.r, cell.c).classList.add('swipe-selected');
+}
+
+function handleBoardPointerUp(e) {
+    if (!touchPointers.delete(e.pointerId)) return;
+    clearTimeout(longPressTimer);
+    const ended = gesture;
+    // The last fingers of a pinch lift one by one; none of them start anything
+    if (!ended || ended.type === 'pinch') {
+        if (touchPointers.size === 0) gesture = null;
+        return;
+    }
+    gesture = null;
+
+    if (ended.type === 'swipe') {
+        suppressClick = true;
+        if (e.type === 'pointercancel') clearSwipe();
+        else openRadialPicker(ended.cells, e.clientX, e.clientY, true);
+        return;
+    }
+    const [{ r, c }] = ended.cells;
+    const now = Date.now();
+    if (lastTap && lastTap.r === r && lastTap.c === c && now - lastTap.time < DOUBLE_TAP_MS) {
+        lastTap = null;
+        selectCell(r, c);
+        erase();
+    } else {
+        lastTap = { r, c, time: now };
+    }
+}
+
+function clearSwipe() {
+    document.querySelectorAll('#board .swipe-selected').forEach(cell => cell.classList.remove('swipe-selected'));
+}
+
+function startPinch() {
+    clearTimeout(longPressTimer);
+    clearSwipe();
+    const [a, b] = [...touchPointers.values()];
+    gesture = {
+        type: 'pinch',
+        dist: Math.hypot(a.x - b.x, a.y - b.y),
+        mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+        zoom: { ...boardZoom }
+    };
+}
+
+// Scales by how far the fingers spread, keeping the point between them in place
+function updatePinch() {
+    const [a, b] = [...touchPointers.values()];
+    const dist = Math.hypot(a.x - b.x, a.y - b.y);
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const { zoom } = gesture;
+    const scale = Math.min(Math.max(zoom.scale * dist / gesture.dist, 1), MAX_ZOOM);
+    const rect = document.getElementById('board-viewport').getBoundingClientRect();
+    const boardX = (gesture.mid.x - rect.left - zoom.x) / zoom.scale;
+    const boardY = (gesture.mid.y - rect.top - zoom.y) / zoom.scale;
+    setBoardZoom(scale, mid.x - rect.left - boardX * scale, mid.y - rect.top - boardY * scale);
+}
+
+// Zooms the board inside its viewport, never leaving a gap at an edge
+function setBoardZoom(scale, x, y) {
+    const viewport = document.getElementById('board-viewport');
+    const width = viewport.clientWidth;
+    const height = viewport.clientHeight;
+    boardZoom = {
+        scale,
+        x: Math.min(Math.max(x, width - width * scale), 0),
+        y: Math.min(Math.max(y, height - height * scale), 0)
+    };
+    document.getElementById('board').style.transform = scale === 1
+        ? ''
+        : `translate(${boardZoom.x}px, ${boardZoom.y}px) scale(${scale})`;
+}
+
+function resetBoardZoom() {
+    setBoardZoom(1, 0, 0);
+}
+
+/**
+ * Shows the ring of digits around (x, y). With one cell a digit is placed
+ * there, or noted if `notes`; with several it is always noted in all of them.
+ */
+function openRadialPicker(cells, x, y, notes) {
+    radialCells = cells;
+    radialNotes = notes;
+    const size = rules.size;
+    const radius = size > 9 ? 110 : 80;
+    const margin = radius + 28;
+    const cx = Math.min(Math.max(x, margin), window.innerWidth - margin);
+    const cy = Math.min(Math.max(y, margin), window.innerHeight - margin);
+
+    const digits = Array.from({ length: size }, (_, i) => {
+        const angle = i / size * 2 * Math.PI;
+        const left = cx + radius * Math.sin(angle);
+        const top = cy - radius * Math.cos(angle);
+        return `<button class="radial-digit" style="left: ${left}px; top: ${top}px;"
+            onclick="pickRadialDigit(${i + 1})">${formatDigit(i + 1)}</button>`;
+    }).join('');
+    document.getElementById('radial-ring').innerHTML = `
+        ${digits}
+        <button id="radial-notes" class="radial-center${notes ? ' active' : ''}" style="left: ${cx}px; top: ${cy}px;"
+            onclick="toggleRadialNotes()" aria-pressed="${notes}" ${cells.length > 1 ? 'disabled' : ''}
+            aria-label="Notes"><i class="ri-pencil-line"></i></button>
+    `;
+    document.getElementById('radial-picker').style.display = 'block';
+    vibrate(20);
+    announce(cells.length > 1 ? `Pick a note for ${cells.length} cells` : 'Pick a digit');
+}
+
+function toggleRadialNotes() {
+    radialNotes = !radialNotes;
+    const button = document.getElementById('radial-notes');
+    button.classList.toggle('active', radialNotes);
+    button.setAttribute('aria-pressed', radialNotes);
+}
+
+function pickRadialDigit(num) {
+    const cells = radialCells;
+    const notes = radialNotes;
+    closeRadialPicker();
+    if (cells.length > 1) {
+        toggleNoteInCells(state, rules, cells, num);
+        renderBoard();
+        saveGame();
+        return;
+    }
+    selectCell(cells[0].r, cells[0].c);
+    inputNumber(num, notes);
+}
+
+function closeRadialPicker() {
+    document.getElementById('radial-picker').style.display = 'none';
+    radialCells = null;
+    clearSwipe();
+}
+
+const boardViewport = document.getElementById('board-viewport');
+boardViewport.addEventListener('pointerdown', handleBoardPointerDown);
+boardViewport.addEventListener('pointermove', handleBoardPointerMove);
+boardViewport.addEventListener('pointerup', handleBoardPointerUp);
+boardViewport.addEventListener('pointercancel', handleBoardPointerUp);
+boardViewport.addEventListener('click', e => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopPropagation();
+}, true);
+// A long press would otherwise open the browser's own menu
+boardViewport.addEventListener('contextmenu', e => {
+    if (touchPointers.size) e.preventDefault();
+});
+
+// --- Themes ---
+// Colours are CSS custom properties (see the top of style.css). The theme
+// setting picks light or dark, or follows the device; a palette then
+// overrides some colours for that mode, and "My colours" overrides them
+// with the player's own from the palette editor.
+
+const THEME_COLORS = [
+    { key: 'primary', variable: '--primary-color', name: 'Accent' },
+    { key: 'background', variable: '--bg-color', name: 'Background' },
+    { key: 'surface', variable: '--surface-color', name: 'Cells and cards' },
+    { key: 'text', variable: '--text-color', name: 'Text' },
+    { key: 'fixed', variable: '--fixed-color', name: 'Given digits' },
+    { key: 'selected', variable: '--cell-select-bg', name: 'Selected cell' },
+    { key: 'related', variable: '--cell-related-bg', name: 'Same row, column and region' },
+    { key: 'sameNum', variable: '--cell-same-num-bg', name: 'Same digit' },
+    { key: 'error', variable: '--error-color', name: 'Mistakes' },
+    { key: 'errorBg', variable: '--cell-error-bg', name: 'Mistake background' }
+];
+const THEME_PALETTES = {
+    classic: { name: 'Classic', light: {}, dark: {} },
+    ocean: {
+        name: 'Ocean',
+        light: { primary: '#0b7285', selected: '#c5f0f5', related: '#eef8fa', sameNum: '#99e2eb' },
+        dark: { primary: '#3bc9db', selected: '#0f4a52', related: '#1f2a2d', sameNum: '#16626d' }
+    },
+    forest: {
+        name: 'Forest',
+        light: { primary: '#2b8a3e', selected: '#d3f9d8', related: '#f1f8f2', sameNum: '#b2f2bb' },
+        dark: { primary: '#69db7c', selected: '#1d4a26', related: '#222a24', sameNum: '#2b6636' }
+    },
+    sunset: {
+        name: 'Sunset',
+        light: { primary: '#d9480f', selected: '#ffe8cc', related: '#fff6ee', sameNum: '#ffd0a8' },
+        dark: { primary: '#ff922b', selected: '#5a3214', related: '#2d2520', sameNum: '#7a431a' }
+    }
+};
+
+const systemDarkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+function themeMode() {
+    if (settings.theme !== 'system') return settings.theme;
+    return systemDarkQuery && systemDarkQuery.matches ? 'dark' : 'light';
+}
+
+function applyTheme() {
+    const root = document.documentElement;
+    const mode = themeMode();
+    root.dataset.bsTheme = mode;
+    const colors = settings.palette === 'custom' ? settings.customPalette : THEME_PALETTES[settings.palette][mode];
+    THEME_COLORS.forEach(({ key, variable }) => {
+        if (colors[key]) root.style.setProperty(variable, colors[key]);
+        else root.style.removeProperty(variable);
+    });
+    updateThemeColor();
+}
+
+// The browser's toolbar takes the accent colour in use
+function updateThemeColor() {
+    const color = getComputedStyle(document.body).getPropertyValue('--primary-color').trim();
+    document.querySelector('meta[name="theme-color"]').setAttribute('content', color);
+}
+
+if (systemDarkQuery) {
+    systemDarkQuery.addEventListener('change', () => {
+        if (settings.theme === 'system') applyTheme();
+    });
+}
+
+// Colour inputs only take #rrggbb
+function hexColor(value) {
+    const color = value.trim().toLowerCase();
+    if (/^#[0-9a-f]{6}$/.test(color)) return color;
+    if (/^#[0-9a-f]{3}$/.test(color)) return '#' + [...color.slice(1)].map(ch => ch + ch).join('');
+    return '#000000';
+}
+
+/**
+ * Opens the palette editor on the colours in use. Picks are previewed on
+ * the page straight away; saving keeps them as "My colours".
+ */
+function showPaletteEditor() {
+    const styles = getComputedStyle(document.documentElement);
+    showModal("Edit Colours", `
+        <div class="palette-editor text-start">
+            ${THEME_COLORS.map(({ key, variable, name }) => `
+                <label class="palette-row" for="palette-${key}">
+                    <span>${name}</span>
+                    <input type="color" class="form-control form-control-color" id="palette-${key}"
+                        value="${hexColor(styles.getPropertyValue(variable))}" oninput="previewThemeColor('${key}', this.value)">
+                </label>
+            `).join('')}
+        </div>
+    `, `
+        <button class="btn btn-primary-custom" onclick="savePalette()">Save</button>
+        <button class="btn btn-secondary-custom" onclick="cancelPalette()">Cancel</button>
+    `);
+}
+
+function previewThemeColor(key, value) {
+    const { variable } = THEME_COLORS.find(color => color.key === key);
+    document.documentElement.style.setProperty(variable, value);
+    updateThemeColor();
+}
+
+function savePalette() {
+    settings.customPalette = {};
+    THEME_COLORS.forEach(({ key }) => {
+        settings.customPalette[key] = document.getElementById(`palette-${key}`).value;
+    });
+    settings.palette = 'custom';
+    saveSettings();
+    closeModal();
+    applyTheme();
+    renderOptionSettings();
+}
+
+function cancelPalette() {
+    closeModal();
+    applyTheme();
+}
+
+// --- Settings ---
+// Stored under 'sudoku_settings' as {version, ...}. Settings missing from
+// storage fall back to DEFAULT_SETTINGS, so new ones need no migration.
+
+const SETTINGS_KEY = 'sudoku_settings';
+const SETTINGS_VERSION = 1;
+const DEFAULT_SETTINGS = {
+    keyBindings: DEFAULT_KEY_BINDINGS,
+    mistakeLimit: DEFAULT_MISTAKE_LIMIT, // 0 for unlimited
+    errorChecking: 'immediate',
+    highlightConflicts: false,
+    highlightSameNumber: true,
+    highlightRegion: true,
+    autoRemoveNotes: true,
+    hideTimer: false,
+    hideCompletedDigits: false,
+    highContrast: false,
+    theme: 'system',
+    palette: 'classic',
+    customPalette: {}, // THEME_COLORS key -> #rrggbb, from the palette editor
+    vibration: true
+};
+
+/**
+ * Settings shown on the settings screen, listed under their `section`.
+ * Ones with `choices` are a dropdown, the rest a switch. The optional
+ * apply() runs on load and whenever the setting changes.
+ */
+const SETTING_OPTIONS = {
+    mistakeLimit: {
+        section: 'rules',
+        name: 'Mistake limit',
+        description: 'The game is lost after this many mistakes',
+        choices: [
+            { value: 1, label: '1' },
+            { value: 3, label: '3' },
+            { value: 5, label: '5' },
+            { value: 0, label: 'Unlimited' }
+        ]
+    },
+    errorChecking: {
+        section: 'rules',
+        name: 'Check for mistakes',
+        description: 'When entered digits are compared with the solution',
+        choices: [
+            { value: 'immediate', label: 'As I play' },
+            { value: 'conflicts', label: 'Only rule conflicts' },
+            { value: 'deferred', label: 'When the board is full' }
+        ]
+    },
+    highlightConflicts: {
+        section: 'assists',
+        name: 'Highlight conflicts',
+        description: 'Mark digits that clash with another in the same row, column or region'
+    },
+    highlightSameNumber: {
+        section: 'assists',
+        name: 'Highlight same digits',
+        description: 'Mark every cell holding the selected digit'
+    },
+    highlightRegion: {
+        section: 'assists',
+        name: 'Highlight row, column and region',
+        description: 'Shade the cells that share a unit with the selected one'
+    },
+    autoRemoveNotes: {
+        section: 'assists',
+        name: 'Auto-remove notes',
+        description: 'Placing a digit removes it from the notes of related cells'
+    },
+    hideTimer: {
+        section: 'display',
+        name: 'Hide timer',
+        description: 'The game is still timed for statistics',
+        apply: on => document.getElementById('timer').classList.toggle('d-none', on)
+    },
+    hideCompletedDigits: {
+        section: 'display',
+        name: 'Hide completed digits',
+        description: 'Remove a digit from the number pad once all of it is placed',
+        apply: on => document.getElementById('numpad').classList.toggle('hide-completed', on)
+    },
+    highContrast: {
+        section: 'display',
+        name: 'High contrast',
+        description: 'Stronger colours, with outlines and marks that don\'t rely on colour alone',
+        apply: on => {
+            document.body.classList.toggle('high-contrast', on);
+            updateThemeColor();
+        }
+    },
+    vibration: {
+        section: 'display',
+        name: 'Vibrate on mistakes',
+        description: 'On devices that can vibrate'
+    },
+    theme: {
+        section: 'display',
+        name: 'Theme',
+        description: 'Light, dark, or the same as this device',
+        choices: [
+            { value: 'light', label: 'Light' },
+            { value: 'dark', label: 'Dark' },
+            { value: 'system', label: 'Match device' }
+        ],
+        apply: applyTheme
+    },
+    palette: {
+        section: 'display',
+        name: 'Colours',
+        description: 'Accent and highlight colours; "My colours" are set with Edit colours',
+        choices: [
+            ...Object.entries(THEME_PALETTES).map(([value, palette]) => ({ value, label: palette.name })),
+            { value: 'custom', label: 'My colours' }
+        ],
+        apply: applyTheme
+    }
+};
+const PAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+
+let settings = loadSettings();
+
+function loadSettings() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    } catch (err) {
+        console.log('Settings could not be read, using defaults', err);
+    }
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    if (!stored || stored.version !== SETTINGS_VERSION) return defaults;
+
+    const loaded = { ...defaults, ...stored };
+    Object.keys(SETTING_OPTIONS).forEach(key => {
+        const choices = SETTING_OPTIONS[key].choices;
+        const valid = choices ? choices.some(choice => choice.value === loaded[key]) : typeof loaded[key] === 'boolean';
+        if (!valid) loaded[key] = defaults[key];
+    });
+    loaded.keyBindings = { ...defaults.keyBindings };
+    Object.keys(defaults.keyBindings).forEach(action => {
+        const bindings = stored.keyBindings && stored.keyBindings[action];
+        if (Array.isArray(bindings)) loaded.keyBindings[action] = bindings;
+    });
+    loaded.customPalette = {};
+    THEME_COLORS.forEach(({ key }) => {
+        const color = stored.customPalette && stored.customPalette[key];
+        if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) loaded.customPalette[key] = color;
+    });
+    return loaded;
+}
+
+function saveSettings() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...settings, version: SETTINGS_VERSION }));
+}
+
+function showSettings() {
+    renderOptionSettings();
+    renderControlSettings();
+    showScreen('settings-screen');
+}
+
+function renderOptionSettings() {
+    ['rules', 'assists', 'display'].forEach(section => {
+        const keys = Object.keys(SETTING_OPTIONS).filter(key => SETTING_OPTIONS[key].section === section);
+        document.getElementById(`settings-${section}`).innerHTML = keys.map(key => `
+            <li class="list-group-item">
+                <div class="form-check form-switch d-flex justify-content-between align-items-center ps-0">
+                    <label class="form-check-label" for="setting-${key}">
+                        ${SETTING_OPTIONS[key].name}
+                        <small class="d-block text-muted">${SETTING_OPTIONS[key].description}</small>
+                    </label>
+                    ${settingInput(key)}
+                </div>
+            </li>
+        `).join('');
+    });
+    document.getElementById('settings-multiplier').textContent = `×${assistMultiplier(settings)}`;
+}
+
+function settingInput(key) {
+    const choices = SETTING_OPTIONS[key].choices;
+    if (!choices) {
+        return `<input class="form-check-input ms-2" type="checkbox" role="switch" id="setting-${key}"
+            ${settings[key] ? 'checked' : ''} onchange="changeSetting('${key}', this.checked)">`;
+    }
+    return `<select class="form-select form-select-sm w-auto ms-2" id="setting-${key}"
+            onchange="changeChoiceSetting('${key}', this.selectedIndex)">
+        ${choices.map(choice => `<option ${choice.value === settings[key] ? 'selected' : ''}>${choice.label}</option>`).join('')}
+    </select>`;
+}
+
+function changeChoiceSetting(key, index) {
+    changeSetting(key, SETTING_OPTIONS[key].choices[index].value);
+}
+
+function changeSetting(key, value) {
+    settings[key] = value;
+    saveSettings();
+    if (SETTING_OPTIONS[key].apply) SETTING_OPTIONS[key].apply(value);
+    document.getElementById('settings-multiplier').textContent = `×${assistMultiplier(settings)}`;
+}
+
+function applySettings() {
+    Object.keys(SETTING_OPTIONS).forEach(key => {
+        if (SETTING_OPTIONS[key].apply) SETTING_OPTIONS[key].apply(settings[key]);
+    });
+}
+
+function bindingLabel(binding) {
+    const pad = /^Pad(\d+)$/.exec(binding);
+    if (pad) return '🎮 ' + (PAD_BUTTON_NAMES[pad[1]] || pad[1]);
+    return binding.split('+').map(part => (part.length === 1 ? part.toUpperCase() : part)).join('+');
+}
+
+function renderControlSettings() {
+    document.getElementById('settings-controls').innerHTML = Object.keys(CONTROL_ACTIONS).map(action => `
+        <li class="list-group-item">
+            <div class="d-flex justify-content-between align-items-center">
+                <span>${CONTROL_ACTIONS[action].name}</span>
+                <button class="btn btn-sm ${capturingAction === action ? 'btn-primary' : 'btn-outline-primary'} rounded-pill"
+                    onclick="startCapture('${action}')">${capturingAction === action ? 'Press a key or button…' : 'Add'}</button>
+            </div>
+            <div class="key-bindings">
+                ${settings.keyBindings[action].map((binding, i) => `
+                    <span class="badge key-badge">${bindingLabel(binding)}
+                        <i class="ri-close-line" onclick="unbindControl('${action}', ${i})"></i></span>
+                `).join('')}
+            </div>
+        </li>
+    `).join('');
+}
+
+function startCapture(action) {
+    capturingAction = capturingAction === action ? null : action;
+    renderControlSettings();
+}
+
+function stopCapture() {
+    capturingAction = null;
+    renderControlSettings();
+}
+
+// A key or button triggers one action only, so it is taken from any other
+function bindControl(action, binding) {
+    Object.keys(settings.keyBindings).forEach(other => {
+        settings.keyBindings[other] = settings.keyBindings[other].filter(b => b !== binding);
+    });
+    settings.keyBindings[action].push(binding);
+    saveSettings();
+    stopCapture();
+}
+
+function unbindControl(action, index) {
+    settings.keyBindings[action].splice(index, 1);
+    saveSettings();
+    renderControlSettings();
+}
+
+function resetControls() {
+    settings.keyBindings = JSON.parse(JSON.stringify(DEFAULT_KEY_BINDINGS));
+    saveSettings();
+    stopCapture();
+}
+
+// --- High Score System ---
+function saveHighScore(score) {
+    let scores = JSON.parse(localStorage.getItem('sudoku_highscores')) || [];
+    scores.push({
+        score: score,
+        date: new Date().toLocaleDateString(),
+        level: state.level
+    });
     scores.sort((a, b) => b.score - a.score);
     scores = scores.slice(0, 5); // Keep top 5
     localStorage.setItem('sudoku_highscores', JSON.stringify(scores));
 }
 
+// --- Statistics ---
+// Every finished or abandoned game is stored under 'sudoku_stats' as
+// {version, games}. When the stored shape changes, bump STATS_VERSION and
+// add a step to STATS_MIGRATIONS that upgrades the previous version.
+
+const STATS_KEY = 'sudoku_stats';
+const STATS_VERSION = 1;
+const MAX_STATS_GAMES = 500;
+
+const STATS_MIGRATIONS = {
+    // Version 0: no stats yet, only the top five high scores
+    0: () => {
+        const scores = JSON.parse(localStorage.getItem('sudoku_highscores')) || [];
+        return {
+            version: 1,
+            games: scores.map((s, i) => {
+                const date = Date.parse(s.date);
+                return {
+                    id: `highscore-${i}`,
+                    level: s.level,
+                    size: 9,
+                    variant: 'classic',
+                    puzzleCode: null,
+                    outcome: 'won',
+                    score: s.score,
+                    time: null,
+                    mistakes: null,
+                    hints: null,
+                    date: isNaN(date) ? null : new Date(date).toISOString()
+                };
+            })
+        };
+    }
+};
+
+// Level shown on the stats screen: 'all' or a key of DIFFICULTY
+let statsLevel = 'all';
+
+function loadStats() {
+    let data = null;
+    try {
+        data = JSON.parse(localStorage.getItem(STATS_KEY));
+    } catch (err) {
+        console.log('Stats could not be read, starting over', err);
+    }
+    let version = data && data.version ? data.version : 0;
+    while (version < STATS_VERSION) {
+        data = STATS_MIGRATIONS[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+// Adds the current game, replacing its earlier entry if it was abandoned and resumed
+// Multiplayer games aren't any one player's, so they stay out of the statistics
+function recordGame(outcome) {
+    if (!state.gameId || state.players) return;
+    const stats = loadStats();
+    stats.games = stats.games.filter(game => game.id !== state.gameId);
+    stats.games.push({
+        id: state.gameId,
+        level: state.level,
+        size: rules.size,
+        variant: state.variant,
+        puzzleCode: state.puzzleCode,
+        outcome,
+        score: state.score,
+        time: state.timer,
+        mistakes: state.mistakes,
+        hints: state.hintsUsed,
+        date: new Date().toISOString()
+    });
+    stats.games = stats.games.slice(-MAX_STATS_GAMES);
+    localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+}
+
+function average(values) {
+    const known = values.filter(val => val !== null && val !== undefined);
+    return known.length ? known.reduce((sum, val) => sum + val, 0) / known.length : null;
+}
+
+// Totals for a list of games, oldest first. Abandoned games break a win streak.
+function summarizeStats(games) {
+    const count = outcome => games.filter(game => game.outcome === outcome).length;
+    const winTimes = games.filter(game => game.outcome === 'won' && game.time !== null).map(game => game.time);
+    let streak = 0;
+    let longestStreak = 0;
+    games.forEach(game => {
+        streak = game.outcome === 'won' ? streak + 1 : 0;
+        longestStreak = Math.max(longestStreak, streak);
+    });
+    return {
+        started: games.length,
+        won: count('won'),
+        lost: count('lost'),
+        abandoned: count('abandoned'),
+        winRate: games.length ? count('won') / games.length : null,
+        bestTime: winTimes.length ? Math.min(...winTimes) : null,
+        averageTime: average(winTimes),
+        currentStreak: streak,
+        longestStreak,
+        averageMistakes: average(games.map(game => game.mistakes)),
+        averageHints: average(games.map(game => game.hints))
+    };
+}
+
+function showStats(level = statsLevel) {
+    statsLevel = level;
+    const games = loadStats().games.filter(game => level === 'all' || game.level === level);
+    const summary = summarizeStats(games);
+    const show = (val, format = v => v) => (val === null ? '–' : format(val));
+
+    document.querySelectorAll('#stats-levels .btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.level === level);
+    });
+
+    const tiles = [
+        ['Started', summary.started],
+        ['Won', summary.won],
+        ['Lost', summary.lost],
+        ['Abandoned', summary.abandoned],
+        ['Win Rate', show(summary.winRate, v => Math.round(v * 100) + '%')],
+        ['Best Time', show(summary.bestTime, formatTime)],
+        ['Average Time', show(summary.averageTime, v => formatTime(Math.round(v)))],
+        ['Current Streak', summary.currentStreak],
+        ['Longest Streak', summary.longestStreak],
+        ['Avg. Mistakes', show(summary.averageMistakes, v => v.toFixed(1))],
+        ['Avg. Hints', show(summary.averageHints, v => v.toFixed(1))]
+    ];
+    document.getElementById('stats-summary').innerHTML = tiles.map(([label, value]) => `
+        <div class="stats-tile">
+            <div class="stats-value">${value}</div>
+            <div class="stats-label">${label}</div>
+        </div>
+    `).join('');
+
+    const history = document.getElementById('stats-history');
+    if (games.length === 0) {
+        history.innerHTML = '<li class="list-group-item text-center">No games yet!</li>';
+    } else {
+        history.innerHTML = games.slice().reverse().map(game => `
+            <li class="list-group-item d-flex justify-content-between" onclick="showGameDetails('${game.id}')">
+                <span>${game.date ? new Date(game.date).toLocaleDateString() : ''} · ${game.level.toUpperCase()}</span>
+                <span class="stats-outcome-${game.outcome}">${game.outcome}</span>
+            </li>
+        `).join('');
+    }
+    showScreen('stats-screen');
+}
+
+function showGameDetails(id) {
+    const game = loadStats().games.find(g => g.id === id);
+    if (!game) return;
+    const show = (val, format = v => v) => (val === null ? '–' : format(val));
+    const rows = [
+        ['Result', game.outcome],
+        ['Date', game.date ? new Date(game.date).toLocaleString() : '–'],
+        ['Difficulty', game.level],
+        ['Board', `${VARIANTS[game.variant].name} ${game.size}×${game.size}`],
+        ['Puzzle Code', show(game.puzzleCode)],
+        ['Score', game.score],
+        ['Time', show(game.time, formatTime)],
+        ['Mistakes', show(game.mistakes)],
+        ['Hints', show(game.hints)]
+    ];
+    showModal("Game Details", `
+        <ul class="list-group text-start">
+            ${rows.map(([label, value]) => `<li class="list-group-item d-flex justify-content-between"><span>${label}</span><span class="fw-bold">${value}</span></li>`).join('')}
+        </ul>
+    `, `
+        <button id="details-replay-btn" class="btn btn-primary-custom" style="display:none;" onclick="watchReplay('${game.id}')">Watch Replay</button>
+        <button class="btn btn-secondary-custom" onclick="closeModal()">Close</button>
+    `);
+    // Only the last MAX_REPLAYS finished games have one
+    findReplay(game.id)
+        .then(found => {
+            if (found) document.getElementById('details-replay-btn').style.display = '';
+        })
+        .catch(err => console.log('Could not look up replay', err));
+}
+
+// --- Replays ---
+// Finished games' replays (see engine/replay.js) are kept in IndexedDB next
+// to the saves, keyed by gameId like the statistics, for the last
+// MAX_REPLAYS games. The viewer rebuilds the board at any move on its own
+// board, so watching one never touches the game in progress.
+
+const REPLAY_STORE = 'replays';
+const MAX_REPLAYS = 20;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8]; // Moves per second
+const REPLAY_MOVE_NAMES = {
+    'auto-notes': 'Filled in all notes',
+    'clean-notes': 'Removed impossible notes',
+    undo: 'Undo',
+    redo: 'Redo'
+};
+
+let lastReplay = null;      // The game that just ended, in case it couldn't be stored
+let replay = null;          // The replay being watched
+let replayRules = null;
+let replayStep = 0;         // Moves applied so far
+let replaySpeed = 1;
+let replayInterval = null;
+
+function storeReplay(finished) {
+    lastReplay = finished;
+    saveStoreRequest('readwrite', store => store.put({ id: finished.gameId, savedAt: Date.now(), replay: finished }), REPLAY_STORE)
+        .then(() => saveStoreRequest('readonly', store => store.getAll(), REPLAY_STORE))
+        .then(records => {
+            records.sort((a, b) => b.savedAt - a.savedAt);
+            return Promise.all(records.slice(MAX_REPLAYS).map(record =>
+                saveStoreRequest('readwrite', store => store.delete(record.id), REPLAY_STORE)));
+        })
+        .catch(err => console.log('Could not store replay', err));
+}
+
+// Resolves with the stored replay of a game, or undefined
+function findReplay(id) {
+    if (lastReplay && lastReplay.gameId === id) return Promise.resolve(lastReplay);
+    return saveStoreRequest('readonly', store => store.get(id), REPLAY_STORE)
+        .then(record => record && record.replay);
+}
+
+function watchReplay(id) {
+    findReplay(id)
+        .then(found => {
+            if (found) openReplay(found);
+            else alert("No replay was kept for this game");
+        })
+        .catch(err => {
+            console.log('Could not load replay', err);
+            alert("Could not load the replay");
+        });
+}
+
+function openReplay(data) {
+    replay = data;
+    replayRules = BoardRules.fromJSON(data.rules);
+    const size = replayRules.size;
+    document.getElementById('replay-title').textContent =
+        `${VARIANTS[replayRules.variant].name} ${size}×${size} · ${data.level.charAt(0).toUpperCase() + data.level.slice(1)}`;
+    document.getElementById('replay-result').textContent =
+        `${data.outcome === 'won' ? 'Won' : 'Lost'} · ${formatTime(data.time)} · ${data.score} points · ${data.mistakes} mistakes`;
+    const timeline = document.getElementById('replay-timeline');
+    timeline.max = data.moves.length;
+    renderReplayMarks();
+
+    closeModal();
+    showScreen('replay-screen');
+    showReplayStep(0);
+}
+
+function closeReplay() {
+    pauseReplay();
+    showScreen('home-screen');
+}
+
+// Ticks above the timeline at every mistake and hint
+function renderReplayMarks() {
+    const marks = document.getElementById('replay-marks');
+    marks.innerHTML = '';
+    replay.moves.forEach((move, i) => {
+        const kind = isReplayMistake(move, replay.moves[i - 1]) ? 'mistake' : move[1] === 'hint' ? 'hint' : null;
+        if (!kind) return;
+        const mark = document.createElement('span');
+        mark.className = `replay-mark ${kind}`;
+        mark.style.left = `${(i + 1) / replay.moves.length * 100}%`;
+        mark.title = `Move ${i + 1}: ${kind}`;
+        marks.appendChild(mark);
+    });
+}
+
+function showReplayStep(step) {
+    replayStep = Math.max(0, Math.min(step, replay.moves.length));
+    const position = replayPosition(replay, replayStep);
+    renderReplayBoard(position);
+
+    const previous = replayStep > 1 ? replay.moves[replayStep - 2] : null;
+    document.getElementById('replay-timeline').value = replayStep;
+    document.getElementById('replay-progress').textContent =
+        `Move ${replayStep} of ${replay.moves.length} · ${formatTime(position.time)}`;
+    document.getElementById('replay-move').textContent = position.move
+        ? describeReplayMove(position.move, previous)
+        : 'Start';
+}
+
+// What a move did, whether it cost a mistake and how long the player took over it
+function describeReplayMove(move, previous) {
+    const [time, type, index, changes] = move;
+    const size = replayRules.size;
+    const r = Math.floor(index / size);
+    const c = index % size;
+    const change = changes.find(ch => ch[0] === index);
+
+    let text;
+    if (type === 'input') text = `Placed ${formatDigit(change ? change[1] : 0)} at ${cellName(r, c)}`;
+    else if (type === 'erase') text = `Erased ${cellName(r, c)}`;
+    else if (type === 'note') text = `Changed the notes at ${cellName(r, c)}`;
+    else if (type === 'hint') text = change ? `Hint revealed ${formatDigit(change[1])} at ${cellName(r, c)}` : 'Took a hint';
+    else text = REPLAY_MOVE_NAMES[type];
+
+    const parts = [text];
+    if (isReplayMistake(move, previous)) parts.push('Mistake');
+    const took = time - (previous ? previous[0] : 0);
+    if (took > 0) parts.push(`${took}s`);
+    return parts.join(' · ');
+}
+
+// Redoing a mistake counts it again, but it isn't a new one
+function isReplayMistake(move, previous) {
+    return move[1] !== 'redo' && move[4] > (previous ? previous[4] : 0);
+}
+
+// Same cells and grid lines as the game board, read-only: the moved cell is
+// selected and wrong digits are marked
+function renderReplayBoard(position) {
+    const size = replayRules.size;
+    const board = document.getElementById('replay-board');
+    board.innerHTML = '';
+    board.className = `sudoku-board size-${size}`;
+    board.style.setProperty('--board-size', size);
+    board.style.setProperty('--note-cols', replayRules.boxCols);
+    const moved = position.move ? position.move[2] : -1;
+
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            const cell = document.createElement('div');
+            cell.className = 'sudoku-cell';
+            if (c < size - 1 && replayRules.regions[r][c] !== replayRules.regions[r][c + 1]) cell.classList.add('box-right');
+            if (r < size - 1 && replayRules.regions[r][c] !== replayRules.regions[r + 1][c]) cell.classList.add('box-bottom');
+            if (c === size - 1) cell.classList.add('col-last');
+            if (replayRules.isExtraRegionCell(r, c)) cell.classList.add('extra-region');
+            if (r * size + c === moved) cell.classList.add('selected');
+            renderCage(cell, r, c, replayRules);
+
+            const val = position.grid[r][c];
+            if (val !== 0) {
+                cell.appendChild(document.createTextNode(formatDigit(val)));
+                cell.classList.add(position.given[r][c] ? 'fixed' : 'editable');
+                if (val !== replay.solution[r][c]) cell.classList.add('wrong');
+            } else if (position.notes[r][c].length > 0) {
+                const noteContainer = document.createElement('div');
+                noteContainer.className = 'cell-notes';
+                for (let i = 1; i <= size; i++) {
+                    const noteEl = document.createElement('div');
+                    noteEl.className = 'note-num';
+                    if (position.notes[r][c].includes(i)) noteEl.textContent = formatDigit(i);
+                    noteContainer.appendChild(noteEl);
+                }
+                cell.appendChild(noteContainer);
+            }
+            board.appendChild(cell);
+        }
+    }
+}
+
+function replayPrev() {
+    pauseReplay();
+    showReplayStep(replayStep - 1);
+}
+
+function replayNext() {
+    pauseReplay();
+    showReplayStep(replayStep + 1);
+}
+
+function scrubReplay(value) {
+    pauseReplay();
+    showReplayStep(Number(value));
+}
+
+function toggleReplayPlay() {
+    if (replayInterval) {
+        pauseReplay();
+        return;
+    }
+    if (replayStep >= replay.moves.length) showReplayStep(0);
+    playReplay();
+}
+
+function playReplay() {
+    document.getElementById('replay-play').innerHTML = '<i class="ri-pause-fill"></i>';
+    document.getElementById('replay-play').setAttribute('aria-label', 'Pause');
+    replayInterval = setInterval(() => {
+        showReplayStep(replayStep + 1);
+        if (replayStep >= replay.moves.length) pauseReplay();
+    }, 1000 / replaySpeed);
+}
+
+function pauseReplay() {
+    if (!replayInterval) return;
+    clearInterval(replayInterval);
+    replayInterval = null;
+    document.getElementById('replay-play').innerHTML = '<i class="ri-play-fill"></i>';
+    document.getElementById('replay-play').setAttribute('aria-label', 'Play');
+}
+
+function setReplaySpeed(index) {
+    replaySpeed = REPLAY_SPEEDS[index];
+    // Restart so the new speed applies from the next move
+    if (replayInterval) {
+        pauseReplay();
+        playReplay();
+    }
+}
+
+function exportReplay() {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `sudoku-replay-${replay.gameId}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function importReplay() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = () => {
+        const file = input.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (err) {
+                    data = null;
+                }
+                const loaded = readReplay(data);
+                if (loaded.error) {
+                    alert(`Could not open the replay: ${loaded.error}`);
+                    return;
+                }
+                openReplay(loaded.replay);
+            })
+            .catch(err => console.log('Could not read file', err));
+    };
+    input.click();
+}
+
+// --- Daily Challenge ---
+// One classic puzzle per calendar day, seeded from the date so everyone gets
+// the same puzzle without a server. Completed days are stored under
+// 'sudoku_daily' as {version, days: {'YYYY-MM-DD': {time, score, level}}}.
+
+const DAILY_KEY = 'sudoku_daily';
+const DAILY_VERSION = 1;
+// Difficulty by weekday, Sunday first
+const DAILY_LEVELS = ['expert', 'easy', 'easy', 'medium', 'medium', 'hard', 'hard'];
+
+// First day of the month shown in the calendar
+let dailyMonth = null;
+
+// Local calendar date as 'YYYY-MM-DD', which also sorts as a string
+function dateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function dailySeed(key) {
+    return Number(key.replace(/-/g, ''));
+}
+
+function dailyLevel(key) {
+    return DAILY_LEVELS[parseDateKey(key).getDay()];
+}
+
+function loadDaily() {
+    let data = null;
+    try {
+        data = JSON.parse(localStorage.getItem(DAILY_KEY));
+    } catch (err) {
+        console.log('Daily results could not be read, starting over', err);
+    }
+    if (!data || data.version !== DAILY_VERSION) data = { version: DAILY_VERSION, days: {} };
+    return data;
+}
+
+// Keeps the best time when a day is solved again
+function recordDailyWin() {
+    const daily = loadDaily();
+    const previous = daily.days[state.daily];
+    if (!previous || state.timer < previous.time) {
+        daily.days[state.daily] = { time: state.timer, score: state.score, level: state.level };
+    }
+    localStorage.setItem(DAILY_KEY, JSON.stringify(daily));
+}
+
+// Completed days in a row up to today, or up to yesterday while today is still open
+function dailyStreak(days) {
+    const day = new Date();
+    if (!days[dateKey(day)]) day.setDate(day.getDate() - 1);
+    let streak = 0;
+    while (days[dateKey(day)]) {
+        streak++;
+        day.setDate(day.getDate() - 1);
+    }
+    return streak;
+}
+
+// Plays the challenge of the given day (today by default), resuming it if saved
+function startDaily(key = dateKey(new Date())) {
+    if (key > dateKey(new Date())) return;
+    closeModal();
+    const saved = savedGames.find(save => save.state.daily === key);
+    if (saved) {
+        resumeGame(saved.id);
+        return;
+    }
+    startGame(dailyLevel(key), { seed: dailySeed(key), variant: 'classic', size: 9, daily: key });
+}
+
+function showDaily(month = null) {
+    const today = new Date();
+    const todayKey = dateKey(today);
+    dailyMonth = month || new Date(today.getFullYear(), today.getMonth(), 1);
+    const year = dailyMonth.getFullYear();
+    const monthIndex = dailyMonth.getMonth();
+    const { days } = loadDaily();
+
+    let cells = ['S', 'M', 'T', 'W', 'T', 'F', 'S'].map(day => `<div class="calendar-head">${day}</div>`).join('');
+    cells += '<div></div>'.repeat(dailyMonth.getDay());
+    const dayCount = new Date(year, monthIndex + 1, 0).getDate();
+    for (let d = 1; d <= dayCount; d++) {
+        const key = dateKey(new Date(year, monthIndex, d));
+        const done = days[key];
+        const classes = ['calendar-day'];
+        if (done) classes.push('done');
+        if (key === todayKey) classes.push('today');
+        cells += `<button class="${classes.join(' ')}" onclick="startDaily('${key}')" ${key > todayKey ? 'disabled' : ''}>
+            ${d}${done ? `<small>${formatTime(done.time)}</small>` : ''}
+        </button>`;
+    }
+
+    const monthName = dailyMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    showModal("Daily Challenge", `
+        <div class="d-flex justify-content-between align-items-center mb-2">
+            <button class="btn btn-sm btn-light rounded-circle" onclick="changeDailyMonth(-1)"><i class="ri-arrow-left-s-line"></i></button>
+            <span class="fw-bold">${monthName}</span>
+            <button class="btn btn-sm btn-light rounded-circle" onclick="changeDailyMonth(1)"><i class="ri-arrow-right-s-line"></i></button>
+        </div>
+        <div class="calendar">${cells}</div>
+        <p class="mt-3 mb-0">Streak: <strong>${dailyStreak(days)}</strong> · Today: ${dailyLevel(todayKey)}</p>
+    `, `
+        <button class="btn btn-primary-custom" onclick="startDaily()">${days[todayKey] ? 'Replay' : 'Play'} Today's Puzzle</button>
+        <button class="btn btn-secondary-custom" onclick="closeModal()">Close</button>
+    `);
+}
+
+function changeDailyMonth(delta) {
+    showDaily(new Date(dailyMonth.getFullYear(), dailyMonth.getMonth() + delta, 1));
+}
+
+// --- Achievements ---
+// Progress towards the achievements in engine/achievements.js, stored under
+// 'sudoku_achievements' as {version, xp, counters, unlocked, variants}.
+// Single-player wins and completed digits feed it; new unlocks pop up as
+// toasts and everything is listed on the achievements screen.
+
+const ACHIEVEMENTS_KEY = 'sudoku_achievements';
+const ACHIEVEMENTS_VERSION = 1;
+const TOAST_SECONDS = 4;
+
+function loadAchievements() {
+    let data = null;
+    try {
+        data = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY));
+    } catch (err) {
+        console.log('Achievements could not be read, starting over', err);
+    }
+    if (data && data.version === ACHIEVEMENTS_VERSION) return data;
+
+    // First run: earlier wins count, without a toast for each
+    const progress = { version: ACHIEVEMENTS_VERSION, ...createProgress() };
+    loadStats().games.filter(game => game.outcome === 'won').forEach(game => {
+        recordEvent(progress, { type: 'won', result: { ...game, bestStreak: null, dailyStreak: null } });
+    });
+    localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(progress));
+    return progress;
+}
+
+// The current win as recordEvent() takes it
+function winResult() {
+    return {
+        level: state.level,
+        variant: state.variant,
+        size: rules.size,
+        time: state.timer,
+        mistakes: state.mistakes,
+        hints: state.hintsUsed,
+        bestStreak: state.scoring.bestStreak,
+        dailyStreak: state.daily ? dailyStreak(loadDaily().days) : null
+    };
+}
+
+// Records a game event and shows what it unlocked. Returns the XP earned.
+function trackAchievements(event) {
+    const progress = loadAchievements();
+    const levelBefore = playerLevel(progress.xp).level;
+    const { xp, unlocked } = recordEvent(progress, event);
+    localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(progress));
+
+    unlocked.forEach(achievement => showToast(achievement.icon, achievement.name, `${achievement.description} · +${achievement.xp} XP`));
+    const level = playerLevel(progress.xp).level;
+    if (level > levelBefore) showToast('ri-arrow-up-circle-line', `Level ${level}`, 'You reached a new level');
+    return xp;
+}
+
+function showToast(icon, title, text) {
+    const toast = document.createElement('div');
+    toast.className = 'app-toast';
+    toast.innerHTML = `
+        <i class="${icon}" aria-hidden="true"></i>
+        <div><div class="fw-bold">${title}</div><small>${text}</small></div>
+    `;
+    document.getElementById('toast-area').appendChild(toast);
+    announce(`${title}. ${text}`);
+    setTimeout(() => toast.remove(), TOAST_SECONDS * 1000);
+}
+
+function showAchievements() {
+    const progress = loadAchievements();
+    const level = playerLevel(progress.xp);
+    const unlockedCount = ACHIEVEMENTS.filter(achievement => progress.unlocked[achievement.id]).length;
+
+    document.getElementById('achievements-level').innerHTML = `
+        <div class="d-flex justify-content-between align-items-baseline">
+            <span class="fs-4 fw-bold">Level ${level.level}</span>
+            <span class="game-info">${progress.xp} XP · ${unlockedCount}/${ACHIEVEMENTS.length} unlocked</span>
+        </div>
+        ${progressBarHtml(level.xp, level.needed, `${level.xp} of ${level.needed} XP to level ${level.level + 1}`)}
+    `;
+    document.getElementById('achievements-list').innerHTML = ACHIEVEMENTS.map(achievement => {
+        const { value, goal, done } = achievementProgress(progress, achievement);
+        return `
+            <div class="achievement-badge${done ? ' unlocked' : ''}">
+                <i class="${done ? achievement.icon : 'ri-lock-line'}" aria-hidden="true"></i>
+                <div class="fw-bold">${achievement.name}</div>
+                <small>${achievement.description}</small>
+                ${done
+                ? `<small class="game-info">${new Date(progress.unlocked[achievement.id]).toLocaleDateString()}</small>`
+                : goal > 1 ? progressBarHtml(value, goal, `${value}/${goal}`) : '<small class="game-info">Locked</small>'}
+            </div>
+        `;
+    }).join('');
+    showScreen('achievements-screen');
+}
+
+function progressBarHtml(value, max, label) {
+    return `
+        <div class="progress" role="progressbar" aria-label="${label}" aria-valuenow="${value}" aria-valuemin="0" aria-valuemax="${max}">
+            <div class="progress-bar" style="width: ${Math.round(value / max * 100)}%"></div>
+        </div>
+        <small class="game-info">${label}</small>
+    `;
+}
+
 // --- PWA Install ---
 let deferredPrompt;
 const installBtn = document.getElementById('install-btn');
@@ -628,6 +2721,51 @@ function installApp() {
     });
 }
 
+// --- Offline & Updates ---
+// sw.js caches the app for offline play. A new version installs in the
+// background and waits; the banner lets the player switch to it, after
+// which the worker takes control and the page reloads once.
+
+let waitingWorker = null;
+let updateRequested = false;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('./sw.js')
+        .then(reg => {
+            // Only an update waits behind a worker that already controls the page
+            if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+            reg.addEventListener('updatefound', () => {
+                const worker = reg.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+                });
+            });
+        })
+        .catch(err => console.log('SW registration failed', err));
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!updateRequested) return;
+        updateRequested = false;
+        window.location.reload();
+    });
+}
+
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    document.getElementById('update-banner').style.display = 'flex';
+}
+
+function applyUpdate() {
+    if (!waitingWorker) return;
+    updateRequested = true;
+    document.getElementById('update-banner').style.display = 'none';
+    // Keep the game in progress; resuming it after the reload is one tap away
+    const inGame = document.getElementById('game-screen').classList.contains('active');
+    (inGame ? saveGame() : Promise.resolve())
+        .then(() => waitingWorker.postMessage({ type: 'SKIP_WAITING' }));
+}
+
 function showHighScores() {
     const scores = JSON.parse(localStorage.getItem('sudoku_highscores')) || [];
     let html = '<ul class="list-group text-start d-inline-block w-100">';
@@ -643,14 +2781,24 @@ function showHighScores() {
     }
     html += '</ul>';
 
-    const modal = document.getElementById('custom-modal');
-    document.getElementById('modal-title').textContent = "High Scores";
-    document.getElementById('modal-body').innerHTML = html;
+    showModal("High Scores", html, `<button class="btn btn-secondary-custom" onclick="closeModal()">Close</button>`);
+}
 
-    // Replace footer with specific close button
-    const footer = modal.querySelector('.d-grid');
-    footer.innerHTML = `<button class="btn btn-secondary-custom" onclick="closeModal()">Close</button>`;
+function copyPuzzleCode() {
+    if (!state.puzzleCode || !navigator.clipboard) return;
+    navigator.clipboard.writeText(state.puzzleCode)
+        .then(() => showToast('ri-clipboard-line', 'Puzzle code copied', state.puzzleCode))
+        .catch(err => console.log('Copy failed', err));
+}
 
+// Fills and opens the shared modal; every caller sets its own footer
+function showModal(title, bodyHtml, footerHtml = DEFAULT_MODAL_FOOTER, titleClass = "mb-3") {
+    const modal = document.getElementById('custom-modal');
+    const titleEl = document.getElementById('modal-title');
+    titleEl.textContent = title;
+    titleEl.className = titleClass;
+    document.getElementById('modal-body').innerHTML = bodyHtml;
+    modal.querySelector('.d-grid').innerHTML = footerHtml;
     modal.classList.add('show');
 }
 
@@ -658,8 +2806,26 @@ function closeModal() {
     document.getElementById('custom-modal').classList.remove('show');
 }
 
+// The onclick/onchange attributes in index.html and in generated markup
+// look their handlers up on window, which a module script doesn't fill
+Object.assign(window, {
+    applyUpdate, cancelGeneration, changeChoiceSetting, changeDailyMonth, changeSetting, closeModal,
+    confirmDeleteSave, copyExport, copyPuzzleCode, dismissHint, downloadExport, erase, importPuzzle,
+    installApp, loadImportFile, pauseGame, redo, removeImpossibleNotes, resetControls,
+    resumeFromPause, resumeGame, selectSize, selectVariant, showDaily, showExport, showGameDetails,
+    showHighScores, showHome, showImport, showSavedGames, showScreen, showSettings, showStats,
+    startCapture, startDaily, startFromCode, startGame, stopCapture, toggleAutoNotes, toggleNotes,
+    unbindControl, undo, useHint, watchReplay, closeReplay, replayPrev, replayNext, scrubReplay,
+    toggleReplayPlay, setReplaySpeed, exportReplay, importReplay, showMultiplayer, startMultiplayer,
+    startRaceTurn, showPaletteEditor, previewThemeColor, savePalette, cancelPalette, showAchievements,
+    pickRadialDigit, toggleRadialNotes, closeRadialPicker
+});
+
 // Initialize
 window.addEventListener('load', () => {
     // Basic startup checks
+    applySettings();
     checkResumeAvailable();
+    loadSavedGames();
+    registerServiceWorker();
 });
@@ -1,25 +1,109 @@
-const CACHE_NAME = 'sudoku-v1';
+// Bump CACHE_VERSION with every release: the new worker precaches the new
+// files, waits until the page asks it to take over, then drops old caches.
+// Refreshed responses go into the same cache, replacing the precached copy.
+const CACHE_VERSION = 'v21';
+const CACHE_NAME = `sudoku-${CACHE_VERSION}`;
+const OFFLINE_PAGE = './index.html';
+
+// The app shell; install fails if any of these can't be fetched
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
     './style.css',
     './script.js',
+    './engine/constants.js',
+    './engine/random.js',
+    './engine/names.js',
+    './engine/rules.js',
+    './engine/solver.js',
+    './engine/bitmask-solver.js',
+    './engine/generator.js',
+    './engine/formats.js',
+    './engine/scoring.js',
+    './engine/game.js',
+    './engine/save-format.js',
+    './engine/replay.js',
+    './engine/players.js',
+    './engine/achievements.js',
+    './engine/worker.js',
     './manifest.json',
-    './assets/images/sudoku-app-icon.png',
+    './assets/images/sudoku-app-icon.png'
+];
+
+// Cached when reachable, but never allowed to fail the install
+const OPTIONAL_ASSETS = [
     'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
     'https://cdn.jsdelivr.net/npm/remixicon@3.5.0/fonts/remixicon.css'
 ];
 
 self.addEventListener('install', (event) => {
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => cache.addAll(ASSETS_TO_CACHE))
+        caches.open(CACHE_NAME).then((cache) => {
+            const optional = OPTIONAL_ASSETS.map((url) => cache.add(url)
+                .catch((err) => console.log('Could not precache', url, err)));
+            return Promise.all([cache.addAll(ASSETS_TO_CACHE), ...optional]);
+        })
     );
 });
 
-self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request)
-            .then((response) => response || fetch(event.request))
+// The page posts SKIP_WAITING when the player accepts the update banner
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names
+                .filter((name) => name.startsWith('sudoku-') && name !== CACHE_NAME)
+                .map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
     );
 });
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
+
+// Pages come from the network when online so a new index.html is seen at once
+function networkFirst(request) {
+    return fetch(request)
+        .then((response) => {
+            if (response.ok) putInCache(request, response.clone());
+            return response;
+        })
+        .catch(() => caches.match(request)
+            .then((cached) => cached || caches.match(OFFLINE_PAGE)));
+}
+
+// Assets are served from the cache straight away and refreshed in the background
+function staleWhileRevalidate(request, event) {
+    return caches.match(request).then((cached) => {
+        const refresh = fetch(request)
+            .then((response) => {
+                // Opaque CDN responses report status 0 but are still worth keeping
+                if (response.ok || response.type === 'opaque') putInCache(request, response.clone());
+                return response;
+            });
+
+        if (cached) {
+            event.waitUntil(refresh.catch(() => { }));
+            return cached;
+        }
+        return refresh.catch(() => new Response('', { status: 503, statusText: 'Offline' }));
+    });
+}
+
+function putInCache(request, response) {
+    return caches.open(CACHE_NAME)
+        .then((cache) => cache.put(request, response))
+        .catch((err) => console.log('Could not cache', request.url, err));
+}
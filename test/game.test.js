@@ -0,0 +1,215 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+import {
+    createGame, eraseCell, isDigitSolved, placeDigit, puzzleGivens, redoAction, revealHint, undoAction
+} from '../engine/game.js';
+import { SudokuGenerator } from '../engine/generator.js';
+import { BoardRules } from '../engine/rules.js';
+
+const SETTINGS = {
+    mistakeLimit: 3,
+    errorChecking: 'immediate',
+    highlightConflicts: false,
+    highlightSameNumber: true,
+    highlightRegion: true,
+    autoRemoveNotes: true
+};
+const PUZZLE = new SudokuGenerator(42).generate('easy');
+
+// Empty cells of the game, in reading order
+function emptyCells(game) {
+    return game.grid.flatMap((row, r) => row.flatMap((val, c) => (val === 0 ? [{ r, c }] : [])));
+}
+
+// A digit that fits the board at (r, c) but isn't the solution's
+function wrongDigit(game, r, c) {
+    return game.solution[r][c] % 9 + 1;
+}
+
+describe('game moves', () => {
+    let game;
+    let rules;
+    beforeEach(() => {
+        game = createGame('easy', PUZZLE);
+        rules = BoardRules.fromJSON(game.rules);
+    });
+
+    it('places a correct digit and scores it', () => {
+        const { r, c } = emptyCells(game)[0];
+        assert.deepEqual(placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS), []);
+        assert.equal(game.grid[r][c], game.solution[r][c]);
+        assert.ok(game.score > 0);
+        assert.equal(game.mistakes, 0);
+    });
+
+    it('counts a wrong digit as a mistake', () => {
+        const { r, c } = emptyCells(game)[0];
+        assert.deepEqual(placeDigit(game, rules, r, c, wrongDigit(game, r, c), SETTINGS), [{ type: 'mistake', r, c }]);
+        assert.equal(game.mistakes, 1);
+    });
+
+    it('ends the game at the mistake limit', () => {
+        const [a, b, c] = emptyCells(game);
+        placeDigit(game, rules, a.r, a.c, wrongDigit(game, a.r, a.c), SETTINGS);
+        placeDigit(game, rules, b.r, b.c, wrongDigit(game, b.r, b.c), SETTINGS);
+        const events = placeDigit(game, rules, c.r, c.c, wrongDigit(game, c.r, c.c), SETTINGS);
+        assert.deepEqual(events.map(event => event.type), ['mistake', 'lost']);
+        assert.equal(game.isGameOver, true);
+        assert.equal(placeDigit(game, rules, a.r, a.c, game.solution[a.r][a.c], SETTINGS), null);
+    });
+
+    it('leaves givens alone', () => {
+        const r = game.initial.findIndex(row => row.some(Boolean));
+        const c = game.initial[r].findIndex(Boolean);
+        assert.equal(placeDigit(game, rules, r, c, 0, SETTINGS), null);
+        assert.equal(eraseCell(game, rules, r, c, SETTINGS), null);
+        assert.equal(game.history.length, 0);
+    });
+
+    it('ignores digits the board has no room for', () => {
+        const small = createGame('easy', new SudokuGenerator(7, 'classic', 4).generate('easy'));
+        const smallRules = BoardRules.fromJSON(small.rules);
+        const { r, c } = emptyCells(small)[0];
+        assert.equal(placeDigit(small, smallRules, r, c, 5, SETTINGS), null);
+        assert.equal(placeDigit(small, smallRules, r, c, -1, SETTINGS), null);
+        assert.equal(small.grid[r][c], 0);
+        assert.equal(small.mistakes, 0);
+        assert.equal(small.history.length, 0);
+    });
+
+    it('tells the puzzle\'s givens from digits revealed by hints', () => {
+        // Enough points for the three hint tiers, the last of which reveals a digit
+        game.scoring.placements = 100;
+        game.score = 100;
+        revealHint(game, rules, SETTINGS);
+        revealHint(game, rules, SETTINGS);
+        revealHint(game, rules, SETTINGS);
+        assert.notDeepEqual(game.initial, PUZZLE.initial);
+        assert.deepEqual(puzzleGivens(game), PUZZLE.initial);
+    });
+
+    it('wins when the last cell is solved', () => {
+        const cells = emptyCells(game);
+        const last = cells.pop();
+        cells.forEach(({ r, c }) => assert.deepEqual(placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS), []));
+        assert.equal(game.isGameOver, false);
+        const events = placeDigit(game, rules, last.r, last.c, game.solution[last.r][last.c], SETTINGS);
+        assert.deepEqual(events, [{ type: 'won' }]);
+        assert.equal(game.isGameOver, true);
+    });
+
+    it('checks a deferred board only once it is full', () => {
+        const settings = { ...SETTINGS, errorChecking: 'deferred' };
+        const cells = emptyCells(game);
+        const [first] = cells;
+        const last = cells.pop();
+        placeDigit(game, rules, first.r, first.c, wrongDigit(game, first.r, first.c), settings);
+        cells.slice(1).forEach(({ r, c }) => placeDigit(game, rules, r, c, game.solution[r][c], settings));
+        assert.equal(game.mistakes, 0);
+        assert.equal(game.score, 0);
+
+        const events = placeDigit(game, rules, last.r, last.c, game.solution[last.r][last.c], settings);
+        assert.deepEqual(events, [{ type: 'wrong', count: 1 }]);
+        assert.equal(game.mistakes, 1);
+        assert.equal(game.showWrong, true);
+
+        assert.deepEqual(placeDigit(game, rules, first.r, first.c, game.solution[first.r][first.c], settings), [{ type: 'won' }]);
+        assert.ok(game.scoring.placements > 0);
+    });
+
+    it('tells when every copy of a digit is in place', () => {
+        const settings = { ...SETTINGS, errorChecking: 'deferred' };
+        const ones = emptyCells(game).filter(({ r, c }) => game.solution[r][c] === 1);
+        const last = ones.pop();
+        ones.forEach(({ r, c }) => placeDigit(game, rules, r, c, 1, settings));
+        assert.equal(isDigitSolved(game, 1), false);
+        // A wrong copy elsewhere doesn't complete it, even with all the others placed
+        const other = emptyCells(game).find(({ r, c }) => game.solution[r][c] !== 1 && (r !== last.r || c !== last.c));
+        placeDigit(game, rules, other.r, other.c, 1, settings);
+        placeDigit(game, rules, last.r, last.c, 1, settings);
+        assert.equal(isDigitSolved(game, 1), false);
+        eraseCell(game, rules, other.r, other.c, settings);
+        assert.equal(isDigitSolved(game, 1), true);
+    });
+
+    it('flags only conflicts when checking for them', () => {
+        const settings = { ...SETTINGS, errorChecking: 'conflicts' };
+        const { r, c } = emptyCells(game)[0];
+        // A digit from the same row always conflicts
+        const given = game.initial[r].find(Boolean);
+        assert.deepEqual(placeDigit(game, rules, r, c, given, settings), [{ type: 'mistake', r, c }]);
+        assert.equal(game.mistakes, 1);
+    });
+});
+
+describe('undo and redo', () => {
+    let game;
+    let rules;
+    beforeEach(() => {
+        game = createGame('easy', PUZZLE);
+        rules = BoardRules.fromJSON(game.rules);
+    });
+
+    it('reverts and replays a placement with its score', () => {
+        const { r, c } = emptyCells(game)[0];
+        placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS);
+        const score = game.score;
+        const scoring = { ...game.scoring };
+
+        assert.equal(undoAction(game).type, 'input');
+        assert.equal(game.grid[r][c], 0);
+        assert.equal(game.score, 0);
+        assert.equal(game.scoring.placements, 0);
+
+        assert.equal(redoAction(game).type, 'input');
+        assert.equal(game.grid[r][c], game.solution[r][c]);
+        assert.equal(game.score, score);
+        assert.deepEqual(game.scoring, scoring);
+    });
+
+    it('restores mistakes and notes', () => {
+        const [a, b] = emptyCells(game);
+        game.notes[b.r][b.c] = [game.solution[a.r][a.c]];
+        placeDigit(game, rules, a.r, a.c, wrongDigit(game, a.r, a.c), SETTINGS);
+        placeDigit(game, rules, a.r, a.c, game.solution[a.r][a.c], SETTINGS);
+        assert.equal(game.mistakes, 1);
+
+        undoAction(game);
+        undoAction(game);
+        assert.equal(game.mistakes, 0);
+        assert.equal(game.grid[a.r][a.c], 0);
+        redoAction(game);
+        redoAction(game);
+        assert.equal(game.mistakes, 1);
+        assert.equal(game.grid[a.r][a.c], game.solution[a.r][a.c]);
+        assert.equal(redoAction(game), null);
+    });
+
+    it('drops the redo stack after a new move', () => {
+        const [a, b] = emptyCells(game);
+        placeDigit(game, rules, a.r, a.c, game.solution[a.r][a.c], SETTINGS);
+        undoAction(game);
+        assert.equal(game.redoStack.length, 1);
+        placeDigit(game, rules, b.r, b.c, game.solution[b.r][b.c], SETTINGS);
+        assert.equal(game.redoStack.length, 0);
+        assert.equal(redoAction(game), null);
+    });
+
+    it('erases a digit as one command', () => {
+        const { r, c } = emptyCells(game)[0];
+        placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS);
+        eraseCell(game, rules, r, c, SETTINGS);
+        assert.equal(game.grid[r][c], 0);
+        undoAction(game);
+        assert.equal(game.grid[r][c], game.solution[r][c]);
+    });
+
+    it('does nothing with an empty history or after the game', () => {
+        assert.equal(undoAction(game), null);
+        const { r, c } = emptyCells(game)[0];
+        placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS);
+        game.isGameOver = true;
+        assert.equal(undoAction(game), null);
+    });
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { TIERS } from '../engine/constants.js';
+import { SudokuGenerator, preparePuzzle } from '../engine/generator.js';
+import { BoardRules } from '../engine/rules.js';
+
+// Every digit of `solution` fits `rules`, and every given matches it
+function assertSolves(puzzle) {
+    const rules = BoardRules.fromJSON(puzzle.rules);
+    const grid = puzzle.solution.map(row => [...row]);
+    for (let r = 0; r < rules.size; r++) {
+        for (let c = 0; c < rules.size; c++) {
+            const num = grid[r][c];
+            assert.ok(num >= 1 && num <= rules.size, `digit at ${r},${c}`);
+            grid[r][c] = 0;
+            assert.ok(rules.isValid(grid, r, c, num), `solution breaks the rules at ${r},${c}`);
+            grid[r][c] = num;
+            const given = puzzle.initial[r][c];
+            assert.ok(given === 0 || given === num, `given at ${r},${c} differs from the solution`);
+        }
+    }
+    rules.cages.forEach(cage => {
+        assert.equal(cage.cells.reduce((sum, { r, c }) => sum + puzzle.solution[r][c], 0), cage.sum);
+    });
+}
+
+describe('SudokuGenerator', () => {
+    it('makes the same puzzle from the same seed', () => {
+        const a = new SudokuGenerator(1234).generate('medium');
+        const b = new SudokuGenerator(1234).generate('medium');
+        assert.deepEqual(a, b);
+        assert.notDeepEqual(new SudokuGenerator(1235).generate('medium').initial, a.initial);
+    });
+
+    for (const variant of ['classic', 'diagonal', 'windoku', 'jigsaw', 'killer']) {
+        // test/puzzles.test.js checks many more seeds at every difficulty
+        it(`makes ${variant} puzzles with one solution`, () => {
+            const puzzle = new SudokuGenerator(1, variant).generate('easy');
+            assert.equal(puzzle.rules.variant, variant);
+            assertSolves(puzzle);
+            const generator = new SudokuGenerator(1, variant);
+            generator.rules = BoardRules.fromJSON(puzzle.rules);
+            assert.equal(generator.countSolutions(puzzle.initial, 2), 1);
+        });
+    }
+
+    for (const size of [4, 6, 16]) {
+        it(`makes ${size}x${size} puzzles`, () => {
+            const puzzle = new SudokuGenerator(5, 'classic', size).generate('easy');
+            assert.equal(puzzle.initial.length, size);
+            assert.equal(puzzle.rules.size, size);
+            assertSolves(puzzle);
+            assert.ok(puzzle.initial.flat().includes(0));
+        });
+    }
+
+    it('makes puzzles of the tier asked for', () => {
+        TIERS.forEach(level => {
+            for (let seed = 1; seed <= 10; seed++) {
+                assert.equal(new SudokuGenerator(seed).generate(level).rating.tier, level, `seed ${seed}`);
+            }
+        });
+    });
+
+    it('rates a puzzle by what it needs when the tier can\'t be reached', () => {
+        // 4x4 boards never need more than easy techniques
+        assert.equal(new SudokuGenerator(3, 'classic', 4).generate('expert').rating.tier, 'easy');
+    });
+
+    it('removes more clues for harder levels', () => {
+        const clues = level => new SudokuGenerator(99).generate(level).initial.flat().filter(Boolean).length;
+        assert.ok(clues('easy') > clues('hard'));
+    });
+
+    it('counts solutions up to the limit without changing the grid', () => {
+        const generator = new SudokuGenerator(1);
+        const grid = generator.emptyGrid();
+        assert.equal(generator.countSolutions(grid, 3), 3);
+        assert.ok(grid.every(row => row.every(val => val === 0)));
+    });
+});
+
+describe('preparePuzzle', () => {
+    it('solves a puzzle with one solution', () => {
+        const puzzle = new SudokuGenerator(8).generate('easy');
+        const prepared = preparePuzzle(puzzle.initial.map(row => [...row]));
+        assert.deepEqual(prepared.solution, puzzle.solution);
+        assert.ok(prepared.rating.tier);
+    });
+
+    it('rejects givens that break the rules', () => {
+        const grid = Array.from({ length: 9 }, () => Array(9).fill(0));
+        grid[0][0] = 4;
+        grid[0][5] = 4;
+        assert.match(preparePuzzle(grid).error, /repeats/);
+    });
+
+    it('rejects a puzzle with several solutions', () => {
+        const grid = Array.from({ length: 9 }, () => Array(9).fill(0));
+        assert.match(preparePuzzle(grid).error, /more than one solution/);
+    });
+});
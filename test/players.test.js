@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createGame, placeDigit, revealHint } from '../engine/game.js';
+import { SudokuGenerator } from '../engine/generator.js';
+import { createPlayers, eraseTurnCell, finishRaceTurn, placeTurnDigit } from '../engine/players.js';
+import { BoardRules } from '../engine/rules.js';
+
+const SETTINGS = {
+    mistakeLimit: 3,
+    errorChecking: 'immediate',
+    highlightConflicts: false,
+    highlightSameNumber: true,
+    highlightRegion: true,
+    autoRemoveNotes: true
+};
+const PUZZLE = new SudokuGenerator(42).generate('easy');
+
+// A game for `names` taking turns, with its rules and empty cells
+function turnGame(names, puzzle = PUZZLE) {
+    const game = createGame('easy', puzzle, { players: createPlayers('turns', names, puzzle) });
+    const cells = game.grid.flatMap((row, r) => row.flatMap((val, c) => (val === 0 ? [{ r, c }] : [])));
+    return { game, rules: BoardRules.fromJSON(game.rules), cells };
+}
+
+describe('pass and play', () => {
+    it('scores a digit as it would in a solo game', () => {
+        const { game, rules, cells } = turnGame(['Ann', 'Ben']);
+        const solo = createGame('easy', PUZZLE);
+        const { r, c } = cells[0];
+        const events = placeTurnDigit(game, rules, r, c, game.solution[r][c], SETTINGS);
+        placeDigit(solo, rules, r, c, game.solution[r][c], SETTINGS);
+        assert.deepEqual(events, [{ type: 'turn', player: 1 }]);
+        assert.equal(game.players.scores[0], solo.score);
+        assert.equal(game.players.owners[r][c], 0);
+    });
+
+    it('puts a player out at the mistake limit, not the game', () => {
+        const { game, rules, cells } = turnGame(['Ann', 'Ben']);
+        const settings = { ...SETTINGS, mistakeLimit: 2 };
+        const wrong = ({ r, c }) => game.solution[r][c] % 9 + 1;
+        placeTurnDigit(game, rules, cells[0].r, cells[0].c, wrong(cells[0]), settings);
+        placeTurnDigit(game, rules, cells[1].r, cells[1].c, wrong(cells[1]), settings);
+        const events = placeTurnDigit(game, rules, cells[2].r, cells[2].c, wrong(cells[2]), settings);
+        assert.deepEqual(events.map(event => event.type), ['mistake', 'out', 'turn']);
+        assert.equal(game.isGameOver, false);
+        assert.deepEqual(game.players.out, [true, false]);
+        assert.equal(game.players.current, 1);
+    });
+
+    it('keeps other players\' digits from being erased or replaced', () => {
+        const { game, rules, cells } = turnGame(['Ann', 'Ben']);
+        const { r, c } = cells[0];
+        const num = game.solution[r][c];
+        placeTurnDigit(game, rules, r, c, num, SETTINGS);
+        const scores = [...game.players.scores];
+
+        assert.deepEqual(eraseTurnCell(game, rules, r, c, SETTINGS), [{ type: 'owned', player: 0 }]);
+        assert.deepEqual(placeTurnDigit(game, rules, r, c, num % 9 + 1, SETTINGS), [{ type: 'owned', player: 0 }]);
+        assert.equal(game.grid[r][c], num);
+        assert.equal(game.players.owners[r][c], 0);
+        assert.equal(game.players.current, 1);
+        assert.deepEqual(game.players.scores, scores);
+    });
+
+    it('leaves a wrong digit for the others to put right once its player is out', () => {
+        const { game, rules, cells } = turnGame(['Ann', 'Ben'], new SudokuGenerator(7, 'classic', 4).generate('easy'));
+        const settings = { ...SETTINGS, mistakeLimit: 1 };
+        const [first, ...rest] = cells;
+        const right = ({ r, c }) => game.solution[r][c];
+        placeTurnDigit(game, rules, first.r, first.c, right(first) % 4 + 1, settings);
+        assert.deepEqual(game.players.out, [true, false]);
+        assert.equal(game.players.owners[first.r][first.c], -1);
+
+        rest.forEach(cell => placeTurnDigit(game, rules, cell.r, cell.c, right(cell), settings));
+        assert.equal(game.isGameOver, false);
+        const events = placeTurnDigit(game, rules, first.r, first.c, right(first), settings);
+        assert.deepEqual(events.map(event => event.type), ['won']);
+        assert.equal(game.isGameOver, true);
+    });
+
+    it('frees the digits of a player who is out', () => {
+        const { game, rules, cells } = turnGame(['Ann', 'Ben', 'Cat']);
+        const settings = { ...SETTINGS, mistakeLimit: 1 };
+        const [a, b, c, d] = cells;
+        const right = ({ r, c }) => game.solution[r][c];
+        placeTurnDigit(game, rules, a.r, a.c, right(a), settings);
+        placeTurnDigit(game, rules, b.r, b.c, right(b), settings);
+        placeTurnDigit(game, rules, c.r, c.c, right(c) % 9 + 1, settings);
+        assert.deepEqual(eraseTurnCell(game, rules, b.r, b.c, settings), [{ type: 'owned', player: 1 }]);
+
+        placeTurnDigit(game, rules, d.r, d.c, right(d), settings);
+        placeTurnDigit(game, rules, cells[4].r, cells[4].c, right(cells[4]) % 9 + 1, settings);
+        assert.deepEqual(game.players.out, [false, true, true]);
+        assert.equal(game.players.current, 0);
+        assert.deepEqual(eraseTurnCell(game, rules, b.r, b.c, settings), []);
+        assert.equal(game.grid[b.r][b.c], 0);
+    });
+
+    it('lets players erase their own digits without ending the turn', () => {
+        const { game, rules, cells } = turnGame(['Ann', 'Ben']);
+        const [a, b] = cells;
+        placeTurnDigit(game, rules, a.r, a.c, game.solution[a.r][a.c], SETTINGS);
+        placeTurnDigit(game, rules, b.r, b.c, game.solution[b.r][b.c], SETTINGS);
+        assert.deepEqual(eraseTurnCell(game, rules, a.r, a.c, SETTINGS), []);
+        assert.equal(game.grid[a.r][a.c], 0);
+        assert.equal(game.players.owners[a.r][a.c], -1);
+        assert.equal(game.players.current, 0);
+
+        // Solving it again earns nothing more, whoever does it
+        const scores = [...game.players.scores];
+        placeTurnDigit(game, rules, a.r, a.c, game.solution[a.r][a.c], SETTINGS);
+        assert.deepEqual(game.players.scores, scores);
+        assert.equal(game.players.owners[a.r][a.c], 0);
+    });
+});
+
+describe('race', () => {
+    it('gives every racer the untouched puzzle', () => {
+        const players = createPlayers('race', ['Ann', 'Ben'], PUZZLE);
+        const givens = JSON.stringify(PUZZLE.initial);
+        const first = createGame('easy', players.puzzle, { players });
+        const rules = BoardRules.fromJSON(first.rules);
+        // Enough points for the three hint tiers, which reveal a digit as a given
+        first.scoring.placements = 100;
+        first.score = 100;
+        revealHint(first, rules, SETTINGS);
+        revealHint(first, rules, SETTINGS);
+        revealHint(first, rules, SETTINGS);
+        assert.notEqual(JSON.stringify(first.initial), givens);
+        assert.equal(JSON.stringify(PUZZLE.initial), givens);
+
+        assert.equal(finishRaceTurn(first, 'lost'), true);
+        const second = createGame('easy', players.puzzle, { players });
+        assert.equal(JSON.stringify(second.initial), givens);
+        assert.deepEqual(second.grid, PUZZLE.initial);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Generates puzzles from a run of seeds for every variant, board size and
+ * difficulty, and checks each has exactly one solution, the one it came
+ * with: several thousand in all. 9x9 puzzles get PUZZLE_SEEDS seeds per
+ * variant and difficulty, 50 unless set.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ANY_SIZE_VARIANTS, TIERS, VARIANTS } from '../engine/constants.js';
+import { SudokuGenerator } from '../engine/generator.js';
+import { BoardRules } from '../engine/rules.js';
+
+const SEEDS = Number(process.env.PUZZLE_SEEDS) || 50;
+// Expert killer puzzles take seconds each to reach their tier, so they get a share
+const KILLER_EXPERT_SEEDS = Math.max(1, Math.round(SEEDS / 12));
+// Small boards are quick, 16x16 ones slow
+const SIZE_SEEDS = { 4: SEEDS * 8, 6: SEEDS * 8, 16: Math.max(1, Math.round(SEEDS / 50)) };
+
+function checkPuzzle(seed, variant, size, level) {
+    const puzzle = new SudokuGenerator(seed, variant, size).generate(level);
+    const rules = BoardRules.fromJSON(puzzle.rules);
+    const where = `seed ${seed}, ${variant} ${size}x${size} ${level}`;
+
+    // The solution fills the board within the rules and keeps every given
+    const grid = puzzle.solution.map(row => [...row]);
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            const num = grid[r][c];
+            grid[r][c] = 0;
+            assert.ok(rules.isValid(grid, r, c, num), `${where}: solution breaks the rules at ${r},${c}`);
+            grid[r][c] = num;
+            assert.ok([0, num].includes(puzzle.initial[r][c]), `${where}: given at ${r},${c} differs from the solution`);
+        }
+    }
+    rules.cages.forEach(cage => {
+        assert.equal(cage.cells.reduce((sum, { r, c }) => sum + puzzle.solution[r][c], 0), cage.sum, `${where}: cage sum`);
+    });
+
+    // ...and is the only one
+    const solver = new SudokuGenerator(seed, variant, size);
+    solver.rules = rules;
+    let found = null;
+    assert.equal(solver.countSolutions(puzzle.initial, 2, solution => {
+        found = solution;
+    }), 1, `${where}: not a single solution`);
+    assert.deepEqual(found, puzzle.solution, `${where}: solves to another grid`);
+}
+
+describe('generated puzzles', () => {
+    for (const variant of Object.keys(VARIANTS)) {
+        for (const level of TIERS) {
+            const seeds = variant === 'killer' && level === 'expert' ? KILLER_EXPERT_SEEDS : SEEDS;
+            it(`${variant} ${level}, seeds 1-${seeds}`, () => {
+                for (let seed = 1; seed <= seeds; seed++) checkPuzzle(seed, variant, 9, level);
+            });
+        }
+    }
+
+    for (const variant of ANY_SIZE_VARIANTS) {
+        for (const size of [4, 6, 16]) {
+            it(`${variant} ${size}x${size}, seeds 1-${SIZE_SEEDS[size]} at each difficulty`, () => {
+                for (const level of TIERS) {
+                    for (let seed = 1; seed <= SIZE_SEEDS[size]; seed++) checkPuzzle(seed, variant, size, level);
+                }
+            });
+        }
+    }
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createRandom } from '../engine/random.js';
+import { BoardRules, CLASSIC_RULES, generateJigsawRegions } from '../engine/rules.js';
+
+const empty = size => Array.from({ length: size }, () => Array(size).fill(0));
+
+describe('BoardRules', () => {
+    it('gives every classic cell 20 peers in 27 units', () => {
+        assert.equal(CLASSIC_RULES.units.length, 27);
+        CLASSIC_RULES.peerCells.flat().forEach(peers => assert.equal(peers.length, 20));
+    });
+
+    it('adds the variant units', () => {
+        assert.equal(new BoardRules('diagonal').unitsByType.diagonal.length, 2);
+        assert.equal(new BoardRules('windoku').unitsByType.window.length, 4);
+        // The centre cell sits on both diagonals
+        assert.equal(new BoardRules('diagonal').peerCells[4][4].length, 20 + 12);
+    });
+
+    it('lays out boxes for every board size', () => {
+        [[4, 2, 2], [6, 2, 3], [16, 4, 4]].forEach(([size, boxRows, boxCols]) => {
+            const rules = new BoardRules('classic', null, [], size);
+            assert.equal(rules.unitsByType.box.length, size);
+            rules.unitsByType.box.forEach(box => assert.equal(box.cells.length, boxRows * boxCols));
+            assert.deepEqual(rules.digits, Array.from({ length: size }, (_, i) => i + 1));
+        });
+    });
+
+    it('rejects a digit already in a row, column or box', () => {
+        const grid = empty(9);
+        grid[0][0] = 5;
+        assert.equal(CLASSIC_RULES.isValid(grid, 0, 8, 5), false);
+        assert.equal(CLASSIC_RULES.isValid(grid, 8, 0, 5), false);
+        assert.equal(CLASSIC_RULES.isValid(grid, 2, 2, 5), false);
+        assert.equal(CLASSIC_RULES.isValid(grid, 4, 4, 5), true);
+        assert.equal(CLASSIC_RULES.isValid(grid, 0, 8, 4), true);
+    });
+
+    it('rejects a repeat on a diagonal', () => {
+        const rules = new BoardRules('diagonal');
+        const grid = empty(9);
+        grid[0][0] = 3;
+        assert.equal(rules.isValid(grid, 8, 8, 3), false);
+        assert.equal(CLASSIC_RULES.isValid(grid, 8, 8, 3), true);
+    });
+
+    it('keeps a killer cage sum reachable', () => {
+        const cage = { sum: 10, cells: [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 1, c: 0 }] };
+        const rules = new BoardRules('killer', null, [cage]);
+        const grid = empty(9);
+        assert.equal(rules.isValid(grid, 0, 0, 9), false); // 9 + 1 + 2 is over 10
+        assert.equal(rules.isValid(grid, 0, 0, 7), true);  // 7 + 1 + 2
+        grid[0][0] = 7;
+        assert.equal(rules.isValid(grid, 0, 1, 2), true);  // 7 + 2 + 1
+        assert.equal(rules.isValid(grid, 0, 1, 3), false); // 7 + 3 leaves nothing for the last cell
+        grid[0][1] = 2;
+        assert.equal(rules.isValid(grid, 1, 0, 1), true);
+        assert.equal(rules.isValid(grid, 1, 0, 4), false);
+    });
+
+    it('round-trips through JSON', () => {
+        const regions = generateJigsawRegions(createRandom(7));
+        const rules = new BoardRules('jigsaw', regions);
+        const copy = BoardRules.fromJSON(JSON.parse(JSON.stringify(rules)));
+        assert.deepEqual(copy.toJSON(), rules.toJSON());
+        assert.equal(BoardRules.fromJSON(null).variant, 'classic');
+    });
+});
+
+describe('generateJigsawRegions', () => {
+    it('makes nine connected regions of nine cells', () => {
+        for (let seed = 1; seed <= 20; seed++) {
+            const regions = generateJigsawRegions(createRandom(seed));
+            const cells = Array.from({ length: 9 }, () => []);
+            regions.forEach((row, r) => row.forEach((region, c) => cells[region].push({ r, c })));
+            cells.forEach(region => {
+                assert.equal(region.length, 9);
+                // Flood fill from the first cell reaches all of them
+                const keys = new Set(region.map(({ r, c }) => r * 9 + c));
+                const seen = new Set([region[0].r * 9 + region[0].c]);
+                const queue = [region[0]];
+                while (queue.length) {
+                    const { r, c } = queue.pop();
+                    [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]].forEach(([nr, nc]) => {
+                        const key = nr * 9 + nc;
+                        if (nr < 0 || nr > 8 || nc < 0 || nc > 8 || !keys.has(key) || seen.has(key)) return;
+                        seen.add(key);
+                        queue.push({ r: nr, c: nc });
+                    });
+                }
+                assert.equal(seen.size, 9);
+            });
+        }
+    });
+});
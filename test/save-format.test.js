@@ -0,0 +1,162 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createGame, placeDigit, redoAction, undoAction } from '../engine/game.js';
+import { SudokuGenerator } from '../engine/generator.js';
+import { createPlayers } from '../engine/players.js';
+import { BoardRules } from '../engine/rules.js';
+import { SAVE_VERSION, readSave, serializeGame } from '../engine/save-format.js';
+
+const SETTINGS = { mistakeLimit: 3, errorChecking: 'immediate', highlightSameNumber: true, highlightRegion: true, autoRemoveNotes: true };
+
+// A game with a few moves made, one of them undone
+function playedGame(variant = 'classic') {
+    const puzzle = new SudokuGenerator(11, variant).generate('easy');
+    const game = createGame('easy', puzzle, { seed: 11 });
+    const rules = BoardRules.fromJSON(game.rules);
+    const cells = game.grid.flatMap((row, r) => row.flatMap((val, c) => (val === 0 ? [{ r, c }] : []))).slice(0, 4);
+    cells.forEach(({ r, c }) => placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS));
+    placeDigit(game, rules, cells[3].r, cells[3].c, 0, SETTINGS);
+    undoAction(game);
+    game.timer = 95;
+    return game;
+}
+
+describe('serializeGame and readSave', () => {
+    for (const variant of ['classic', 'killer']) {
+        it(`round-trips a ${variant} game`, () => {
+            const game = playedGame(variant);
+            const save = serializeGame(game);
+            assert.equal(save.version, SAVE_VERSION);
+            const { state, error } = readSave(JSON.parse(JSON.stringify(save)));
+            assert.equal(error, undefined);
+            ['gameId', 'level', 'variant', 'rules', 'seed', 'grid', 'initial', 'solution', 'notes', 'score', 'scoring',
+                'timer', 'mistakes', 'countedDigits', 'history', 'redoStack', 'moves', 'players'].forEach(field => {
+                assert.deepEqual(state[field], game[field], field);
+            });
+        });
+    }
+
+    it('keeps undo and redo working after loading', () => {
+        const game = playedGame();
+        const { state } = readSave(serializeGame(game));
+        const loaded = { ...state, isGameOver: false, hint: null };
+        redoAction(loaded);
+        redoAction(game);
+        assert.deepEqual(loaded.grid, game.grid);
+        undoAction(loaded);
+        undoAction(game);
+        assert.deepEqual(loaded.grid, game.grid);
+        assert.equal(loaded.score, game.score);
+    });
+
+    it('doesn\'t share arrays with the game', () => {
+        const game = playedGame();
+        const save = serializeGame(game);
+        save.grid[0][0] = 9;
+        assert.notEqual(game.grid, save.grid);
+        const copy = JSON.parse(JSON.stringify(save));
+        readSave(copy);
+        assert.deepEqual(copy, save);
+    });
+
+    it('upgrades a version 0 save', () => {
+        const game = playedGame();
+        const old = JSON.parse(JSON.stringify(game));
+        delete old.scoring;
+        delete old.moves;
+        delete old.players;
+        delete old.countedDigits;
+        delete old.rules;
+        old.history.unshift({ r: 0, c: 0, prev: 0, next: 5 });
+        const { state, error } = readSave(old);
+        assert.equal(error, undefined);
+        assert.equal(state.version, SAVE_VERSION);
+        assert.equal(state.scoring.placements, game.score);
+        assert.deepEqual(state.moves, []);
+        assert.equal(state.players, null);
+        assert.deepEqual(state.countedDigits, []);
+        assert.equal(state.rules.variant, 'classic');
+        assert.equal(state.history.length, game.history.length);
+    });
+
+    it('accepts undo snapshots from before scored cells were kept', () => {
+        const save = serializeGame(playedGame());
+        save.history.forEach(action => {
+            delete action.before.scoring.scored;
+            delete action.after.scoring.scored;
+        });
+        delete save.history[0].before.scoring;
+        const { state, error } = readSave(save);
+        assert.equal(error, undefined);
+        undoAction({ ...state, isGameOver: false });
+    });
+
+    it('marks the correct digits of a version 4 save as scored', () => {
+        const game = playedGame();
+        const save = { ...serializeGame(game), version: 4 };
+        delete save.scoring.scored;
+        const { state } = readSave(save);
+        assert.equal(game.scoring.scored.length, 4);
+        assert.deepEqual(state.scoring.scored, game.scoring.scored);
+    });
+
+    it('reports what is wrong with a broken save', () => {
+        const save = serializeGame(playedGame());
+        const broken = (change) => {
+            const copy = JSON.parse(JSON.stringify(save));
+            change(copy);
+            return readSave(copy).error;
+        };
+        assert.equal(readSave(null).error, 'not a saved game');
+        assert.match(broken(s => { s.version = SAVE_VERSION + 1; }), /newer version/);
+        assert.match(broken(s => { s.level = 'impossible'; }), /unknown difficulty/);
+        assert.match(broken(s => { s.grid.pop(); }), /grid/);
+        assert.match(broken(s => {
+            const r = s.initial.findIndex(row => row.includes(0));
+            const c = s.initial[r].indexOf(0);
+            s.solution[r][c] = s.solution[r][c] % 9 + 1;
+        }), /solution breaks the rules/);
+        assert.match(broken(s => { s.initial[0][0] = s.initial[0][0] % 9 + 1; }), /given at R1C1/);
+        assert.match(broken(s => { s.timer = -1; }), /counters/);
+        assert.match(broken(s => { s.scoring.scored = [-1]; }), /score breakdown/);
+        assert.match(broken(s => { s.countedDigits = [10]; }), /counted digits/);
+        assert.match(broken(s => { s.history = {}; }), /history/);
+        assert.match(broken(s => { s.history[0].cells[0].before = {}; }), /broken command/);
+        assert.match(broken(s => { delete s.history[1].cells[0].after.notes; }), /broken command/);
+        assert.match(broken(s => { s.history[0].cells[0].r = 9; }), /broken command/);
+        assert.match(broken(s => { s.history[0].before.mistakes = null; }), /broken command/);
+        assert.match(broken(s => { s.history[0].after.scoring = { placements: 'lots' }; }), /broken command/);
+        assert.match(broken(s => { s.redoStack[0].after = undefined; }), /broken command/);
+        assert.match(broken(s => { s.redoStack.push(null); }), /broken command/);
+        assert.match(broken(s => { s.players = { mode: 'turns', names: ['Solo'], current: 0 }; }), /players/);
+    });
+
+    it('rejects players without what their mode keeps track of', () => {
+        const puzzle = new SudokuGenerator(11).generate('easy');
+        const saveFor = mode => JSON.parse(JSON.stringify(serializeGame(
+            createGame('easy', puzzle, { players: createPlayers(mode, ['Ann', 'Ben'], puzzle) }))));
+        const broken = (mode, change) => {
+            const copy = saveFor(mode);
+            change(copy.players);
+            return readSave(copy).error;
+        };
+        assert.equal(readSave(saveFor('turns')).error, undefined);
+        assert.equal(readSave(saveFor('race')).error, undefined);
+
+        assert.match(broken('turns', p => { delete p.scores; }), /player scores/);
+        assert.match(broken('turns', p => { p.mistakes = [0]; }), /player scores/);
+        assert.match(broken('turns', p => { p.out = [false, 'no']; }), /player scores/);
+        assert.match(broken('turns', p => { p.owners.pop(); }), /owners/);
+        assert.match(broken('turns', p => { p.owners[0][0] = 2; }), /owners/);
+        assert.match(broken('race', p => { delete p.puzzle; }), /race puzzle/);
+        assert.match(broken('race', p => { p.puzzle.initial[0].pop(); }), /race puzzle/);
+        assert.match(broken('race', p => { p.puzzle.rules = { variant: 'windoku', size: 9 }; }), /race puzzle/);
+        assert.match(broken('race', p => { p.results = null; }), /race results/);
+        assert.match(broken('race', p => { p.results = [{ outcome: 'won', time: 60, score: 100, mistakes: 0 }, null]; }), /race results/);
+        assert.equal(broken('race', p => {
+            p.results = [{ outcome: 'won', time: 60, score: 100, mistakes: 0 }];
+            p.current = 1;
+        }), undefined);
+    });
+});
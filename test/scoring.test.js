@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createGame, eraseCell, placeDigit, revealHint, undoAction } from '../engine/game.js';
+import { SudokuGenerator } from '../engine/generator.js';
+import { BoardRules } from '../engine/rules.js';
+import { HINT_TIERS } from '../engine/constants.js';
+import { SCORING, SCORE_PARTS, assistMultiplier, comboPoints, newScoring, placementPoints, scoreTotal, timeBonus } from '../engine/scoring.js';
+
+const SETTINGS = {
+    mistakeLimit: 3,
+    errorChecking: 'immediate',
+    highlightConflicts: false,
+    highlightSameNumber: true,
+    highlightRegion: true,
+    autoRemoveNotes: true
+};
+
+describe('scoring rules', () => {
+    it('scores a placement by difficulty, openness and assists', () => {
+        assert.equal(placementPoints('easy', 9, 1, 1), SCORING.cellPoints);
+        assert.equal(placementPoints('easy', 9, 0, 1), SCORING.cellPoints);
+        assert.equal(placementPoints('easy', 9, 9, 1), 2 * SCORING.cellPoints);
+        assert.equal(placementPoints('medium', 9, 5, 1), 23);  // 10 * 1.5 * 1.5
+        assert.equal(placementPoints('expert', 9, 1, 1), 30);
+        assert.equal(placementPoints('easy', 4, 4, 1.2), 24);  // 10 * 2 * 1.2
+    });
+
+    it('adds a combo bonus that grows with the streak up to double', () => {
+        assert.equal(comboPoints(20, 0), 0);
+        assert.equal(comboPoints(20, 3), 6);
+        assert.equal(comboPoints(20, 10), 20);
+        assert.equal(comboPoints(20, 50), 20);
+    });
+
+    it('gives a time bonus under par, scaled by difficulty and board', () => {
+        assert.equal(timeBonus('easy', 81, 500), 100);
+        assert.equal(timeBonus('hard', 81, 1000), 400);
+        assert.equal(timeBonus('easy', 81, 601), 0);
+        assert.equal(timeBonus('easy', 16, 100), 19);   // par 600 * 16 / 81
+    });
+
+    it('weighs the assists turned on and off', () => {
+        assert.equal(assistMultiplier(SETTINGS), 1);
+        assert.equal(assistMultiplier({ ...SETTINGS, errorChecking: 'deferred', mistakeLimit: 0 }), 1.2);
+        assert.equal(assistMultiplier({
+            errorChecking: 'conflicts',
+            highlightConflicts: true,
+            highlightSameNumber: false,
+            highlightRegion: false,
+            autoRemoveNotes: false,
+            mistakeLimit: 5
+        }), 1.4);
+    });
+
+    it('totals the parts, never below zero', () => {
+        assert.equal(scoreTotal(newScoring()), 0);
+        assert.equal(scoreTotal({ ...newScoring(), placements: 120, combo: 30, time: 50, mistakes: 50, hints: 25 }), 125);
+        assert.equal(scoreTotal({ ...newScoring(), placements: 10, mistakes: 50 }), 0);
+    });
+});
+
+describe('game scoring', () => {
+    const puzzle = new SudokuGenerator(42).generate('easy');
+    const start = () => {
+        const game = createGame('easy', puzzle);
+        const cells = game.grid.flatMap((row, r) => row.flatMap((val, c) => (val === 0 ? [{ r, c }] : [])));
+        return { game, rules: BoardRules.fromJSON(game.rules), cells };
+    };
+
+    it('keeps the score equal to its breakdown', () => {
+        const { game, rules, cells } = start();
+        const [wrong, ...rest] = cells;
+        placeDigit(game, rules, wrong.r, wrong.c, game.solution[wrong.r][wrong.c] % 9 + 1, SETTINGS);
+        rest.forEach(({ r, c }) => placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS));
+        game.timer = 300;
+        placeDigit(game, rules, wrong.r, wrong.c, game.solution[wrong.r][wrong.c], SETTINGS);
+        assert.equal(game.isGameOver, true);
+
+        const parts = Object.fromEntries(SCORE_PARTS.map(part => [part.key, game.scoring[part.key]]));
+        assert.equal(parts.mistakes, SCORING.mistakePenalty);
+        assert.equal(parts.time, timeBonus('easy', 81, 300));
+        assert.ok(parts.combo > 0);
+        assert.equal(game.score, parts.placements + parts.combo + parts.time - parts.mistakes - parts.hints);
+        assert.equal(game.score, scoreTotal(game.scoring));
+        assert.equal(game.scoring.bestStreak, cells.length);
+    });
+
+    it('scores a cell once however often it is erased and placed again', () => {
+        const { game, rules, cells } = start();
+        const { r, c } = cells[0];
+        placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS);
+        const score = game.score;
+        for (let i = 0; i < 20; i++) {
+            eraseCell(game, rules, r, c, SETTINGS);
+            placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS);
+        }
+        assert.equal(game.score, score);
+        assert.equal(game.scoring.streak, 1);
+        assert.equal(game.scoring.bestStreak, 1);
+    });
+
+    it('scores a cell again once its placement is undone', () => {
+        const { game, rules, cells } = start();
+        const { r, c } = cells[0];
+        placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS);
+        const score = game.score;
+        undoAction(game);
+        assert.equal(game.score, 0);
+        placeDigit(game, rules, r, c, game.solution[r][c], SETTINGS);
+        assert.equal(game.score, score);
+    });
+
+    it('needs the points for a hint when digits are checked at once', () => {
+        const { game, rules } = start();
+        assert.deepEqual(revealHint(game, rules, SETTINGS), { cost: HINT_TIERS[0].cost });
+        assert.equal(game.hintsUsed, 0);
+    });
+
+    for (const errorChecking of ['conflicts', 'deferred']) {
+        it(`takes hints off the end score with ${errorChecking} checking`, () => {
+            const { game, rules } = start();
+            const settings = { ...SETTINGS, errorChecking };
+            HINT_TIERS.forEach(() => assert.ok(revealHint(game, rules, settings).hint));
+            const cost = HINT_TIERS.reduce((total, tier) => total + tier.cost, 0);
+            assert.equal(game.scoring.hints, cost);
+            assert.equal(game.score, 0);
+
+            const cells = game.grid.flatMap((row, r) => row.flatMap((val, c) => (val === 0 ? [{ r, c }] : [])));
+            cells.forEach(({ r, c }) => placeDigit(game, rules, r, c, game.solution[r][c], settings));
+            assert.equal(game.isGameOver, true);
+            assert.equal(game.score, scoreTotal(game.scoring));
+            assert.equal(game.score, game.scoring.placements + game.scoring.time - cost);
+        });
+    }
+});
@@ -0,0 +1,39 @@
+/**
+ * Sudoku Engine benchmark
+ * Measures, per difficulty, how many puzzles per second the generator
+ * produces and the bitmask solver solves (proving each has one solution).
+ *
+ *   npm run benchmark -- [seconds per difficulty] [variant] [size]
+ */
+
+import { BitmaskSolver } from '../engine/bitmask-solver.js';
+import { TIERS } from '../engine/constants.js';
+import { SudokuGenerator } from '../engine/generator.js';
+import { BoardRules } from '../engine/rules.js';
+
+const seconds = Number(process.argv[2]) || 5;
+const variant = process.argv[3] || 'classic';
+const size = Number(process.argv[4]) || 9;
+
+// Runs `task` with 0, 1, 2... until the time is up; returns runs per second
+function measure(task) {
+    const start = performance.now();
+    let runs = 0;
+    while (performance.now() - start < seconds * 1000) task(runs++);
+    return runs / ((performance.now() - start) / 1000);
+}
+
+console.log(`${variant} ${size}x${size}, ${seconds}s per difficulty\n`);
+console.log('difficulty  generated/s  solved/s');
+for (const level of TIERS) {
+    const puzzles = [];
+    const generated = measure(seed => puzzles.push(new SudokuGenerator(seed + 1, variant, size).generate(level)));
+
+    const solvers = puzzles.map(puzzle => new BitmaskSolver(BoardRules.fromJSON(puzzle.rules)));
+    const solved = measure(run => {
+        const i = run % puzzles.length;
+        if (solvers[i].countSolutions(puzzles[i].initial, 2) !== 1) throw new Error(`Puzzle ${i + 1} is not unique`);
+    });
+
+    console.log(`${level.padEnd(10)}  ${generated.toFixed(1).padStart(11)}  ${solved.toFixed(0).padStart(8)}`);
+}